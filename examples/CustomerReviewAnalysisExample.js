@@ -4,6 +4,13 @@ import { KrippendorffsComparisonModel } from "../src/index.js"
 import fs from 'fs'
 import path from 'path'
 import { ComparisonModel } from "../src/index.js"
+import { enableCache, setRateLimits } from "../src/index.js"
+
+// Cache LLM responses on disk, such that re-running the analysis does not re-query the model
+enableCache()
+
+// Limit the number of simultaneous requests sent to the local model server
+setRateLimits({ maxConcurrent: 4 })
 
 // Load the customer reviews
 const reviewsPath = path.join(process.cwd(), 'examples', 'data', 'customer_reviews.json')
@@ -0,0 +1,135 @@
+import hash from 'hash-it';
+import { LLMCaller } from "./caller-llm.js";
+
+/**
+ * Normalizes a raw answer by trimming whitespace, surrounding quotes and trailing punctuation
+ * @param {string} text
+ * @returns string
+ */
+export const normalizeLabel = (text) => {
+  let prev;
+  let curr = String(text);
+  while (prev !== curr) {
+    prev = curr;
+    curr = curr.trim().replace(/^["'`*]+|["'`*]+$/g, "").replace(/[.,!?;:]+$/, "");
+  }
+  return curr;
+};
+
+// strips leading whitespace, quotes and markup from a (partial) answer
+const stripLeading = (text) => text.replace(/^[\s"'`*]+/, "").toLowerCase();
+
+/**
+ * Computes the probability distribution over the labels from the token probabilities of an answer. Following the tokens of the
+ * answer, the probability of every alternative token is assigned to the labels it could start (or complete), where labels sharing
+ * the chosen tokens so far (e.g., 'NEGATIVE' and 'NEUTRAL' sharing 'NE') are told apart by the following tokens.
+ * @param {{ token: string, logprob: number, top: { token: string, logprob: number }[] }[]} logprobs
+ * @param {string[]} labels
+ * @returns {Object | undefined} maps labels to their share of the probability mass (0-1), undefined if no mass is on any label
+ */
+export const labelProbabilities = (logprobs, labels) => {
+  const mass = Object.fromEntries(labels.map((l) => [l, 0]));
+  const matches = (text, candidates) =>
+    candidates.filter((l) => l.toLowerCase().startsWith(text) || text.startsWith(l.toLowerCase()));
+  let prefix = "";
+  let weight = 1; // probability of the chosen tokens so far
+  let candidates = labels;
+  for (const { token, logprob, top = [] } of logprobs) {
+    const alternatives = top.some((a) => a.token === token) ? top : [...top, { token, logprob }];
+    let chosen;
+    for (const alternative of alternatives) {
+      const text = stripLeading(prefix + alternative.token);
+      const matching = text === "" ? candidates : matches(text, candidates);
+      if (alternative.token === token) {
+        chosen = { text, matching };
+        continue;
+      }
+      if (text === "") continue;
+      for (const l of matching) mass[l] += (weight * Math.exp(alternative.logprob)) / matching.length;
+    }
+    if (chosen.matching.length === 0) break;
+    if (chosen.text !== "" && chosen.matching.length === 1) {
+      mass[chosen.matching[0]] += weight * Math.exp(logprob);
+      break;
+    }
+    prefix += token;
+    weight *= Math.exp(logprob);
+    candidates = chosen.matching;
+  }
+  const total = Object.values(mass).reduce((sum, p) => sum + p, 0);
+  if (total === 0) return undefined;
+  return Object.fromEntries(Object.entries(mass).map(([l, p]) => [l, p / total]));
+};
+
+/**
+ * An LLMCaller constrained to the labels of a categorization (codebook). The raw output is normalized (case, quotes, trailing punctuation)
+ * and mapped to a declared label. Off-codebook answers are re-asked, and if still off-codebook, fall back to the default value.
+ * With logprobs enabled, the confidence is the share of the probability mass on the chosen label versus the other labels.
+ */
+export class CategorizationCaller extends LLMCaller {
+  /**
+   * @param {Object} categorization - { description, values: [{ label, description }], default_value }
+   * @param {[string]} context - the prompt of the categorization
+   * @param {string | undefined} id
+   * @param {Object | undefined} config - merged with the global config, may hold reasks (default 1) and fallback (default true, otherwise fails on off-codebook answers)
+   */
+  constructor(categorization, context, id = undefined, config = undefined) {
+    const { reasks = 1, fallback = true, ...rest } = config ?? {};
+    super(context, id ?? hash(["categorize", context, config]), config === undefined ? undefined : rest);
+    this.labels = categorization.values.map((v) => v.label);
+    this.defaultValue = categorization.default_value;
+    this.reasks = reasks;
+    this.fallback = fallback;
+  }
+
+  /**
+   * Maps an answer to a declared label (or the default value), ignoring case
+   * @param {string} normalized
+   * @returns string | undefined
+   */
+  match(normalized) {
+    const lower = normalized.toLowerCase();
+    return [...this.labels, this.defaultValue].find((l) => l.toLowerCase() === lower);
+  }
+
+  /**
+   * Maps the reply to a declared label, re-asking on off-codebook answers. Records the raw and normalized answer in the metadata.
+   * @param {{ output: string, metadata: Object }} reply
+   * @param {Function} followUp
+   * @returns {{ output: string, metadata: Object }}
+   */
+  async process(reply, followUp) {
+    reply = { ...reply, ...(await super.process(reply, followUp)) };
+    let reasks = 0;
+    let normalized = normalizeLabel(reply.output);
+    let label = this.match(normalized);
+    while (label === undefined && reasks < this.reasks) {
+      reasks++;
+      reply = await followUp(
+        reply.output,
+        `'${normalized}' is not one of the allowed labels (${this.labels.map((l) => `'${l}'`).join(", ")}). ` +
+          `Reply only with one of these labels, or '${this.defaultValue}' if none is applicable.`
+      );
+      normalized = normalizeLabel(reply.output);
+      label = this.match(normalized);
+    }
+    if (label === undefined) {
+      if (!this.fallback)
+        throw new Error(`Output of '${this.id}' is not a declared label after ${reasks} re-asks: '${reply.output}'`);
+      label = this.defaultValue;
+    }
+    // with token probabilities, the confidence is the share of the probability mass on the label (versus the other labels)
+    const probabilities = reply.logprobs && labelProbabilities(reply.logprobs, [...new Set([...this.labels, this.defaultValue])]);
+    return {
+      output: label,
+      metadata: {
+        ...reply.metadata,
+        raw: reply.output,
+        normalized,
+        reasks,
+        fallback: label !== this.match(normalized),
+        ...(reply.logprobs ? { confidence: probabilities?.[label] ?? 0, probabilities } : {}),
+      },
+    };
+  }
+}
@@ -0,0 +1,92 @@
+import hash from 'hash-it';
+import { LLMCaller, userMessage } from "./caller-llm.js";
+import { ImageInput } from "../util/image.js";
+
+const format = (content, role) => ({ role, content });
+
+// Serialized messages only hold a reference to their images, which are read again to send them
+const restore = (message) =>
+  Array.isArray(message.content)
+    ? { ...message, content: message.content.map((p) => (p.type === "image" ? { ...p, image: ImageInput.parse(p.image) } : p)) }
+    : message;
+
+/**
+ * An LLMCaller keeping the message history across runs, such that every run is a follow-up turn on the earlier ones.
+ * Each Response links to the Response of the previous turn (response.previous), and records its own user and assistant
+ * messages in response.metadata.messages, such that the history can be restored from serialized Responses (see resume).
+ */
+export class ConversationCaller extends LLMCaller {
+  /**
+   * @param {string | Array} context - system prompts (or role-tagged messages) preceding the conversation
+   * @param {string | undefined} id
+   * @param {Object | undefined} config - merged with the global config
+   */
+  constructor(context, id = undefined, config = undefined) {
+    super(context, id ?? hash(["conversation", context, config]), config);
+    this._config = config;
+    this.history = [];
+    this.last = undefined;
+    this._forks = 0;
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Earlier turns of the conversation, sent between the context and the input
+   * @returns {{ role: string, content: string }[]}
+   */
+  turns() {
+    return this.history;
+  }
+
+  /**
+   * Executes the next turn of the conversation, returning a Response linked to the previous turn.
+   * Turns are executed in order, also when run is called concurrently.
+   * @param {Response | string | Object} content
+   * @param {undefined | Object} options - see LLMCaller.run
+   * @returns Response
+   */
+  run(content, options = {}) {
+    const turn = this._queue.then(async () => {
+      const { input } = this.resolveInput(content, options.vars);
+      const response = await super.run(content, options);
+      const reply = typeof response.output === "string" ? response.output : JSON.stringify(response.output);
+      const messages = [userMessage(input), format(reply, "assistant")];
+      response.previous = this.last;
+      response.metadata = { ...response.metadata, turn: this.history.length / 2 + 1, messages };
+      this.history = [...this.history, ...messages];
+      this.last = response;
+      return response;
+    });
+    // a failed turn does not end the conversation
+    this._queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Restores the history of the conversation up to (and including) the turn of the given Response, e.g., after reading Responses from file.
+   * Images of earlier turns are read from their path again (see ImageInput.parse).
+   * @param {Response | undefined} response - undefined clears the history
+   * @returns ConversationCaller
+   */
+  resume(response) {
+    const history = [];
+    for (let curr = response; curr; curr = curr.previous) {
+      if (!curr.metadata?.messages) throw new Error(`Response of '${curr.caller.id}' is not a turn of a conversation`);
+      history.unshift(...curr.metadata.messages.map(restore));
+    }
+    this.history = history;
+    this.last = response;
+    return this;
+  }
+
+  /**
+   * Forks the conversation, creating a new conversation continuing from the given turn, leaving this conversation unaffected
+   * @param {string | undefined} id - defaults to '<id>.fork.<n>'
+   * @param {Response | undefined} response - turn to continue from, defaults to the last turn
+   * @returns ConversationCaller
+   */
+  fork(id = undefined, response = this.last) {
+    const forked = new ConversationCaller(this.context, id ?? `${this.id}.fork.${++this._forks}`, this._config);
+    return forked.resume(response);
+  }
+}
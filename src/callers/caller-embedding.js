@@ -0,0 +1,58 @@
+import hash from 'hash-it';
+import { fetchEmbeddings, resolveConfig } from "../util/fetch/index.js";
+import { redactConfig } from "../util/fetch/client.js";
+import { Response } from "../response/index.js";
+import { Caller } from "./base.js";
+
+/**
+ * A Caller embedding its input using the embeddings api of the configured server (e.g., v1/embeddings), outputting the vector.
+ * Lists of strings (e.g., multi-label outputs) are embedded as a list of vectors. The config may hold a budget (see Budget).
+ */
+export class EmbeddingCaller extends Caller {
+  /**
+   * @param {string | undefined} id
+   * @param {Object | undefined} config - merged with the global config (e.g., { model }), an endpoint overrides the embeddings endpoint of the provider
+   */
+  constructor(id = undefined, config = undefined) {
+    super(id ?? hash(["embedding", config]));
+    this.config = config;
+  }
+
+  /**
+   * Execute the embedding, returning a Response with the vector (or list of vectors) as output
+   * @param {Response | string | string[]} content
+   * @param {undefined | Object} options - { cache: false } bypasses the cache, { budget } Budget the request is charged to
+   * @returns Response
+   */
+  async run(content, options = {}) {
+    const input = content instanceof Response ? content.output : content;
+    const list = Array.isArray(input);
+    const texts = list ? input : [input];
+    for (const text of texts)
+      if (typeof text !== "string" && !(text instanceof String) && typeof text !== "number")
+        throw new Error(`Illegal input type '${text}', should be a string, number, list of these, or response`);
+
+    const { endpoint, budget, ...rest } = this.config ?? {};
+    const config = resolveConfig(rest);
+    const { output, metadata } = await fetchEmbeddings(texts.map(String), config, {
+      budget,
+      ...options,
+      endpoint,
+      callerId: this.id,
+    });
+    const response = new Response(list ? output : output[0], this, content);
+    // secrets are not stored with the response, as it may be written to file
+    response.config = redactConfig(config);
+    response.metadata = metadata;
+    return response;
+  }
+
+  /**
+   * Compares this and another caller
+   * @param {Object | Caller} caller
+   * @returns boolean
+   */
+  equals(obj) {
+    return obj instanceof EmbeddingCaller && this.id === obj.id;
+  }
+}
@@ -1,45 +1,331 @@
 import hash from 'hash-it';
-import { fetch } from "../util/fetch/index.js";
+import Ajv from "ajv";
+import { fetchWithMetadata, resolveConfig, countMessageTokens } from "../util/fetch/index.js";
+import { redactConfig } from "../util/fetch/client.js";
 import { Response } from "../response/index.js";
 import { Caller } from "./base.js";
+import { ToolCaller } from "./caller-tool.js";
+import { ImageInput } from "../util/image.js";
 
 const format = (content, role) => ({ role, content });
 
+const isText = (v) => typeof v === "string" || v instanceof String || typeof v === "number";
+
+/**
+ * Turns multimodal input (an image, or a list of texts and images) into content parts, i.e., { type: 'text', text }
+ * and { type: 'image', image }, which the provider adapters convert to the format of the server
+ * @param {ImageInput | (string | number | ImageInput)[]} input
+ * @returns {Object[] | undefined} undefined if the input is not multimodal
+ */
+const toParts = (input) => {
+  const parts = input instanceof ImageInput ? [input] : input;
+  if (!Array.isArray(parts) || parts.length === 0 || !parts.every((p) => isText(p) || p instanceof ImageInput))
+    return undefined;
+  return parts.map((p) => (p instanceof ImageInput ? { type: "image", image: p } : { type: "text", text: String(p) }));
+};
+
+/**
+ * Builds the user message of an input, as text or content parts
+ * @param {string | number | Object[]} input - as resolved by LLMCaller.resolveInput
+ * @returns {{ role: string, content: string | Object[] }}
+ */
+export const userMessage = (input) => format(Array.isArray(input) ? input : String(input), "user");
+
+const ajv = new Ajv({ allErrors: true });
+
+/**
+ * Parses structured output (ignoring surrounding code fences) and validates it against the schema
+ * @param {string} text
+ * @param {Function} validate - compiled schema
+ * @returns {{ value: any, errors: undefined | string }}
+ */
+const parseStructured = (text, validate) => {
+  let value;
+  try {
+    value = JSON.parse(text.trim().replace(/^```(?:json)?\s*|\s*```$/g, ""));
+  } catch (e) {
+    return { errors: `invalid JSON (${e.message})` };
+  }
+  if (!validate(value)) return { errors: ajv.errorsText(validate.errors) };
+  return { value };
+};
+
+/**
+ * Turns an entry of the context into a message, strings are system messages
+ * @param {string | { role: string, content: string }} entry
+ * @returns {{ role: string, content: string }}
+ */
+const toMessage = (entry) => {
+  if (typeof entry === "string" || entry instanceof String) return format(String(entry), "system");
+  if (typeof entry?.role !== "string" || entry?.content === undefined)
+    throw new Error(`Illegal context message '${JSON.stringify(entry)}', must be a string or { role, content }`);
+  return { ...entry };
+};
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && Object.getPrototypeOf(v) === Object.prototype;
+
+// Applies fn to the text of a message, i.e., its content or the text parts of multipart content (e.g., holding images)
+const mapText = (content, fn) => {
+  if (typeof content === "string") return fn(content);
+  if (Array.isArray(content))
+    return content.map((p) => (p?.type === "text" && typeof p.text === "string" ? { ...p, text: fn(p.text) } : p));
+  return content;
+};
+
+/**
+ * Whether the content of a message holds {{field}} placeholders, in its text or the text parts of multipart content
+ * @param {any} content
+ * @returns boolean
+ */
+const isTemplated = (content) =>
+  typeof content === "string"
+    ? content.match(PLACEHOLDER) !== null
+    : Array.isArray(content) && content.some((p) => p?.type === "text" && isTemplated(p.text));
+
+/**
+ * Fills the {{field}} placeholders of the messages with the variables (fields may be paths, e.g., {{product.category}}),
+ * failing if any variable is missing. Only text is filled, other content (e.g., images) is kept as is.
+ * @param {{ role: string, content: string | Object[] }[]} messages
+ * @param {Object} vars
+ * @param {string} id - of the caller, used in the error
+ * @returns {{ role: string, content: string | Object[] }[]}
+ */
+const render = (messages, vars, id) => {
+  const missing = new Set();
+  const rendered = messages.map((m) => ({
+    ...m,
+    content: mapText(m.content, (text) =>
+      text.replace(PLACEHOLDER, (placeholder, field) => {
+        const value = field.split(".").reduce((v, key) => (v === undefined || v === null ? undefined : v[key]), vars);
+        if (value === undefined || value === null) {
+          missing.add(field);
+          return placeholder;
+        }
+        return typeof value === "object" ? JSON.stringify(value) : String(value);
+      })
+    ),
+  }));
+  if (missing.size > 0)
+    throw new Error(`Missing variable(s) ${[...missing].map((f) => `'${f}'`).join(", ")} for the prompt of '${id}'`);
+  return rendered;
+};
+
 /**
  * Default Caller to construct LLM calls (using run). Receives system messages through context parameter (either as single string or array).
+ * The array may also hold role-tagged messages ({ role, content }), e.g., user/assistant turns of few-shot examples.
+ * The context may hold {{field}} placeholders, filled from the fields of object inputs or the vars passed to run.
+ * Inputs may also hold images (see image()), either alone or as a list of texts and images, sent as content parts.
+ * Optionally receives a config (e.g., { model, temperature, max_tokens }) which is merged with the global config on every run.
+ * The config may also hold an output JSON schema ({ schema, repairs }), in which case the output is parsed and validated,
+ * re-prompting with the validation errors up to 'repairs' (default 2) times.
+ * The config may also hold tools ({ tools: [{ name, description, parameters, run }], toolRounds }) backed by JS functions,
+ * which the model may call (up to 'toolRounds' (default 5) rounds) before giving its final answer. Every tool call is recorded
+ * as a Response in the chain of the final Response.
+ * With { logprobs: true | number } the token probabilities of the output (and of the given number (default 5) of most likely
+ * alternatives) are requested, and the resulting confidence (0-1) is recorded in the metadata without further calls.
+ * With { budget } (a Budget) every request of the caller is charged to the budget, and skipped once it is exhausted.
  */
 export class LLMCaller extends Caller {
-    constructor(context, id = hash(context)) {
-      super(id);
+    constructor(context, id = undefined, config = undefined) {
+      super(id ?? hash(config ? [context, config] : context));
       if (!Array.isArray(context)) context = [context];
       this.context = context; // for retrieval
-      this._context = context.map((c) => format(c, "system")); // for system
+      this._context = context.map(toMessage); // for system
+      this._templated = this._context.some((m) => isTemplated(m.content));
+      const { schema, repairs = 2, tools = [], toolRounds = 5, logprobs, budget, ...rest } = config ?? {};
+      this.config = config === undefined ? undefined : rest;
+      this.schema = schema;
+      this.repairs = repairs;
+      this._validate = schema ? ajv.compile(schema) : undefined;
+      this.tools = Object.fromEntries(tools.map((t) => [t.name, new ToolCaller(t, `${this.id}.tool.${t.name}`)]));
+      this.toolRounds = toolRounds;
+      this.logprobs = logprobs === true ? 5 : logprobs || undefined;
+      this.budget = budget;
     }
   
     /**
      * Execute the transformation of the LLMCaller, returning a Response
-     * @param {Response | string} content 
+     * @param {Response | string | Object} content - the fields of object inputs (or outputs) fill the placeholders of the context,
+     * while the 'input' field (or the object as JSON, if absent) is sent as user message
+     * @param {undefined | Object} options - { onToken(token) } enables streaming and is called for every token received,
+     * { vars } fills the placeholders of the context (taking precedence over the fields of object inputs),
+     * { config } is merged over the config of the caller for this run only (e.g., another model or endpoint),
+     * { budget } Budget the requests of this run are charged to (instead of the budget of the caller)
      * @returns Response
      */
-    async run(content) {
-      let input = content;
-      if (content instanceof Response) {
-        input = content.output;
-      } else if (typeof content !== "string" && !(content instanceof String) && typeof content !== "number") {
-        throw new Error(`Illegal input type '${content}'`);
+    async run(content, options = {}) {
+      const { vars: explicit, config: override, ...rest } = options;
+      options = rest;
+      const { input, vars } = this.resolveInput(content, explicit);
+      const context = this._templated ? render(this._context, vars, this.id) : this._context;
+      const messages = [...context, ...this.turns()];
+      const settings = { ...this.config?.settings, ...override?.settings, ...(options.onToken ? { stream: true } : {}) };
+      const config = resolveConfig({ ...this.config, ...override, settings });
+      const tools = Object.values(this.tools).map((t) => t.definition());
+      const request = (message, context) =>
+        fetchWithMetadata(message, context, config, {
+          ...options,
+          callerId: this.id,
+          schema: this.schema,
+          tools,
+          logprobs: this.logprobs,
+          budget: options.budget ?? this.budget,
+        });
+
+      // the exchange so far, extended with the tool calls of the model and their results
+      const exchange = [...messages, userMessage(input)];
+      let reply = await request(input, messages);
+      let chain = content;
+      let rounds = 0;
+      while (reply.toolCalls) {
+        if (rounds >= this.toolRounds)
+          throw new Error(`'${this.id}' did not give a final answer after ${rounds} rounds of tool calls`);
+        rounds++;
+        exchange.push({ role: "assistant", content: reply.output ?? "", toolCalls: reply.toolCalls });
+        for (const call of reply.toolCalls) {
+          const tool = this.tools[call.name];
+          let result = `Error: unknown tool '${call.name}'`;
+          if (tool) {
+            chain = await tool.run(chain, call.arguments);
+            result = typeof chain.output === "string" ? chain.output : JSON.stringify(chain.output);
+          }
+          exchange.push({ role: "tool", toolCallId: call.id, name: call.name, content: result });
+        }
+        reply = await request(undefined, exchange);
       }
-      const output = await fetch(input, this._context);
-      return new Response(output, this, content);
+      // a follow-up turn on a previous reply, e.g., to have it repaired
+      const followUp = (reply, message) => request(message, [...exchange, format(reply, "assistant")]);
+
+      const { output, metadata } = await this.process(reply, followUp);
+      const response = new Response(output, this, chain);
+      // secrets are not stored with the response, as it may be written to file
+      response.config = redactConfig(config);
+      // the rendered prompt is recorded, as it differs between inputs
+      response.metadata = {
+        ...metadata,
+        ...(this._templated ? { prompt: context } : {}),
+        ...(rounds > 0 ? { toolRounds: rounds } : {}),
+      };
+      return response;
     }
   
     /**
-     * Get total number of tokens of prompt
+     * Resolves the user message and the variables of the prompt from the content of a run
+     * @param {Response | string | Object | ImageInput | Array} content
+     * @param {undefined | Object} explicit - vars passed to run, taking precedence over the fields of object inputs
+     * @returns {{ input: string | number | Object[], vars: Object }} input is a list of content parts for multimodal input
+     */
+    resolveInput(content, explicit = {}) {
+      let input = content instanceof Response ? content.output : content;
+      let vars = explicit;
+      if (isPlainObject(input)) {
+        vars = { ...input, ...explicit };
+        input = input.input ?? JSON.stringify(input);
+      }
+      const parts = toParts(input);
+      if (parts) return { input: parts, vars };
+      if (!isText(input))
+        throw new Error(`Illegal input type '${input}', should be a string, number, image, list of texts and images, object, or response`);
+      return { input, vars };
+    }
+
+    /**
+     * Messages sent between the context and the input, e.g., earlier turns of a conversation
+     * @returns {{ role: string, content: string }[]}
+     */
+    turns() {
+      return [];
+    }
+
+    /**
+     * Processes the reply of the LLM before it is wrapped in a Response. Parses and validates structured output (if a schema is given),
+     * re-prompting with the validation errors using follow-up turns.
+     * @param {{ output: string, metadata: Object }} reply
+     * @param {Function} followUp - async (output, message) => reply, sends a follow-up turn on the given output
+     * @returns {{ output: any, metadata: Object }}
+     */
+    async process(reply, followUp) {
+      if (!this.schema) return this.score(reply);
+      let repairs = 0;
+      let result = parseStructured(reply.output, this._validate);
+      while (result.errors) {
+        if (repairs >= this.repairs)
+          throw new Error(`Output of '${this.id}' does not match the schema after ${repairs} repair attempts: ${result.errors}`);
+        repairs++;
+        reply = await followUp(
+          reply.output,
+          `Your reply did not match the required JSON schema: ${result.errors}. Reply only with the corrected JSON.`
+        );
+        result = parseStructured(reply.output, this._validate);
+      }
+      const { metadata } = this.score(reply);
+      return { output: result.value, metadata: { ...metadata, repairs } };
+    }
+
+    /**
+     * Records the confidence of the reply in its metadata (if token probabilities were reported), as the geometric mean
+     * of the probabilities of the output tokens
+     * @param {{ output: string, metadata: Object, logprobs: undefined | Object[] }} reply
+     * @returns {{ output: string, metadata: Object }}
+     */
+    score(reply) {
+      if (!reply.logprobs) return reply;
+      const mean = reply.logprobs.reduce((sum, t) => sum + t.logprob, 0) / reply.logprobs.length;
+      return { ...reply, metadata: { ...reply.metadata, confidence: Math.exp(mean) } };
+    }
+
+    /**
+     * Execute the transformation of the LLMCaller while streaming, returning a stream which can be iterated for tokens.
+     * The Response is only built once the stream completes, and is retrieved using stream.final()
+     * @param {Response | string} content 
+     * @param {undefined | Object} options - { onToken(token) } called for every token received
+     * @returns {{ final: () => Promise<Response>, [Symbol.asyncIterator]: () => AsyncIterator<string> }}
+     */
+    stream(content, options = {}) {
+      const queue = [];
+      let finished = false;
+      let wake = () => {};
+      const result = this.run(content, {
+        ...options,
+        onToken: (token) => {
+          queue.push(token);
+          if (options.onToken) options.onToken(token);
+          wake();
+        },
+      });
+      const done = () => {
+        finished = true;
+        wake();
+      };
+      // failures are surfaced through final() and iteration
+      result.then(done, done);
+
+      return {
+        final: () => result,
+        async *[Symbol.asyncIterator]() {
+          while (queue.length > 0 || !finished) {
+            if (queue.length > 0) yield queue.shift();
+            else await new Promise((resolve) => (wake = resolve));
+          }
+          await result;
+        },
+      };
+    }
+
+    /**
+     * Get the number of tokens of the prompt (as counted by the tokenizer set, see setTokenizer), along with the input if given,
+     * e.g., to estimate cost or whether it fits the context window
+     * @param {Response | string | Object | undefined} content - input of a run, filling the placeholders of the context
+     * @param {undefined | Object} vars - see run
      * @returns int
      */
-    tokens() {
-      let sum = 0;
-      for (const item of this.context) sum += item.length;
-      return sum;
+    tokens(content = undefined, vars = undefined) {
+      if (content === undefined) return countMessageTokens([...this._context, ...this.turns()]);
+      const { input, vars: resolved } = this.resolveInput(content, vars);
+      const context = this._templated ? render(this._context, resolved, this.id) : this._context;
+      return countMessageTokens([...context, ...this.turns(), userMessage(input)]);
     }
   
     /**
@@ -6,9 +6,15 @@ import { Caller } from "./base.js";
  * A programmatic Caller, allowing to pass functions as first argument to the constructor. The function is applied to produce 
  */
 export class ProgrammaticCaller extends Caller {
-  constructor(fun, id = hash(fun)) {
+  /**
+   * @param {Function} fun - (output, content) => result, where content is the input or preceding Response
+   * @param {string} id
+   * @param {Object} options - { anyInput } accepts inputs of any type (e.g., objects or images), for callers passing their input on to other callers which check it
+   */
+  constructor(fun, id = hash(fun), { anyInput = false } = {}) {
     super(id);
     this.fun = fun;
+    this.anyInput = anyInput;
   }
 
   /**
@@ -20,7 +26,7 @@ export class ProgrammaticCaller extends Caller {
     let input = content;
     if (content instanceof Response) {
       input = content.output;
-    } else if (typeof content !== "string" && !(content instanceof String) && typeof content !== "number") {
+    } else if (!this.anyInput && typeof content !== "string" && !(content instanceof String) && typeof content !== "number") {
       if (typeof content === "promise")
         throw new Error("Unresolved future as input");
       throw new Error(`Illegal input type '${content}', should be a string, number, or response`);
@@ -0,0 +1,92 @@
+import hash from 'hash-it';
+import { ConnectionError, ServerError, LLMError } from "../util/fetch/index.js";
+import { LLMCaller } from "./caller-llm.js";
+
+/**
+ * Whether the next route is tried after the given error, i.e., the server could not be reached, failed,
+ * or does not serve the model (e.g., an unloaded local model)
+ * @param {Error} error
+ * @returns boolean
+ */
+const fallsThrough = (error) =>
+  error instanceof ConnectionError || error instanceof ServerError || (error instanceof LLMError && error.status === 404);
+
+/**
+ * An LLMCaller serving its input by the first of an ordered list of routes, each holding the config of an endpoint/model
+ * (e.g., { name, model, path, port }) merged over the config of the caller. On connection or server errors the next route is tried.
+ * Routes may hold rules restricting the inputs they serve: minLength/maxLength (characters of the user message)
+ * and when: (input) => boolean, e.g., to send long inputs to a long-context model.
+ * The route which served the input (and the routes which failed before it) is recorded in response.metadata.route.
+ */
+export class RoutingCaller extends LLMCaller {
+  /**
+   * @param {string | Array} context - system prompts (or role-tagged messages)
+   * @param {Object[]} routes - ordered configs ({ name, when, minLength, maxLength, ...config })
+   * @param {string | undefined} id
+   * @param {Object | undefined} config - shared by all routes (e.g., { temperature, schema, tools })
+   */
+  constructor(context, routes, id = undefined, config = undefined) {
+    if (!Array.isArray(routes) || routes.length === 0) throw new Error("RoutingCaller requires at least one route");
+    super(context, id ?? hash(["routes", context, routes, config]), config);
+    this.routes = routes.map(({ name, when, minLength, maxLength, ...rest }, index) => ({
+      name: name ?? rest.model ?? String(index),
+      when,
+      minLength,
+      maxLength,
+      config: rest,
+    }));
+  }
+
+  /**
+   * Whether the route serves the input according to its rules
+   * @param {Object} route
+   * @param {string | number | Object[]} input
+   * @returns boolean
+   */
+  matches(route, input) {
+    // only the text of multimodal input is counted
+    const { length } = Array.isArray(input) ? input.map((p) => p.text ?? "").join("") : String(input);
+    if (route.minLength !== undefined && length < route.minLength) return false;
+    if (route.maxLength !== undefined && length > route.maxLength) return false;
+    return route.when ? Boolean(route.when(input)) : true;
+  }
+
+  /**
+   * Execute the transformation using the first route matching the input which does not fail, returning a Response
+   * @param {Response | string | Object} content
+   * @param {undefined | Object} options - see LLMCaller
+   * @returns Response
+   */
+  async run(content, options = {}) {
+    const { input } = this.resolveInput(content, options.vars);
+    const routes = this.routes.filter((route) => this.matches(route, input));
+    if (routes.length === 0) throw new Error(`No route of '${this.id}' matches the input`);
+
+    const failed = [];
+    for (const route of routes) {
+      try {
+        const response = await super.run(content, { ...options, config: { ...options.config, ...route.config } });
+        response.metadata = {
+          ...response.metadata,
+          route: { name: route.name, index: this.routes.indexOf(route), failed },
+        };
+        return response;
+      } catch (e) {
+        if (!fallsThrough(e)) throw e;
+        failed.push({ name: route.name, error: e.message });
+      }
+    }
+    throw new Error(
+      `All routes of '${this.id}' failed: ${failed.map((f) => `${f.name} (${f.error})`).join(", ")}`
+    );
+  }
+
+  /**
+   * Compares this and another object
+   * @param {Object | Caller} caller
+   * @returns boolean
+   */
+  equals(obj) {
+    return obj instanceof RoutingCaller && this.id === obj.id;
+  }
+}
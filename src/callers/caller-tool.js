@@ -0,0 +1,60 @@
+import { Response } from "../response/index.js";
+import { Caller } from "./base.js";
+
+/**
+ * A Caller backed by a JS function which an LLM may call as a tool (see the 'tools' config of LLMCaller).
+ * Every invocation yields a Response, such that tool calls appear in the chain of the final Response.
+ */
+export class ToolCaller extends Caller {
+  /**
+   * @param {Object} tool - { name, description, parameters (JSON schema of the arguments), run: async (args) => any }
+   * @param {string} id
+   */
+  constructor(tool, id) {
+    if (typeof tool?.name !== "string") throw new Error("Tool must have a name");
+    if (typeof tool.run !== "function") throw new Error(`Tool '${tool.name}' must have a run function`);
+    super(id);
+    this.name = tool.name;
+    this.description = tool.description;
+    this.parameters = tool.parameters ?? { type: "object", properties: {} };
+    this.fun = tool.run;
+  }
+
+  /**
+   * Get the definition of the tool sent to the model
+   * @returns {{ name: string, description: string, parameters: Object }}
+   */
+  definition() {
+    return { name: this.name, description: this.description, parameters: this.parameters };
+  }
+
+  /**
+   * Executes the tool, returning a Response holding its result. Failures are recorded as output (and in metadata.error),
+   * such that they can be passed on to the model.
+   * @param {Response | string} content - the preceding Response in the chain (or the input)
+   * @param {Object} args - arguments requested by the model
+   * @returns Response
+   */
+  async run(content, args = {}) {
+    let output;
+    let error;
+    try {
+      output = await this.fun(args);
+    } catch (e) {
+      error = e.message;
+      output = `Error: ${e.message}`;
+    }
+    const response = new Response(output, this, content);
+    response.metadata = { tool: this.name, arguments: args, ...(error !== undefined ? { error } : {}) };
+    return response;
+  }
+
+  /**
+   * Compares this and another caller
+   * @param {Object | Caller} caller
+   * @returns boolean
+   */
+  equals(obj) {
+    return obj instanceof ToolCaller && this.id === obj.id;
+  }
+}
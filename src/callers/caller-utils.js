@@ -2,7 +2,12 @@ import hash from "hash-it"
 import { IdentityCaller } from "./caller-identity.js";
 import { ProgrammaticCaller } from "./caller-programmatic.js";
 import { LLMCaller } from "./caller-llm.js";
+import { CategorizationCaller } from "./caller-categorization.js";
+import { ConversationCaller } from "./caller-conversation.js";
+import { EmbeddingCaller } from "./caller-embedding.js";
+import { RoutingCaller } from "./caller-routing.js";
 import { existingCallers } from "./base.js"
+import { loadCategorizationFromYML, parseCategorizationPromptFromYML } from "../util/helper.js";
 
 
 
@@ -12,14 +17,52 @@ const identityCaller = new IdentityCaller()
  * Shortcut to generate Callers
  * @param {Function | Array | undefined} content - to determine type of caller, i.e., function yields Programmatic, Array yields LLM, undefined returns identity caller
  * @param {string | undefined} id - if no id is provided, a hash value will be used (of the input)
+ * @param {Object | undefined} config - LLM callers only, config merged with the global config (e.g., { model, temperature, max_tokens })
  * @returns Caller of given type
  */
-export const $ = (content, id = undefined) => {
+export const $ = (content, id = undefined, config = undefined) => {
   if(content == undefined) return identityCaller;
-  if (Array.isArray(content) || typeof(content) === "string") return new LLMCaller(content, id);
+  if (Array.isArray(content) || typeof(content) === "string") return new LLMCaller(content, id, config);
   if (typeof content === "function") return new ProgrammaticCaller(content, id);
 };
 
+/**
+ * Creates a caller constrained to the labels of a categorization YML file (see parseCategorizationPromptFromYML), outputting a declared label
+ * @param {string} file
+ * @param {string | undefined} id - if no id is provided, a hash value will be used (of the prompt)
+ * @param {Object | undefined} config - config merged with the global config, may hold reasks (default 1) and fallback (default true)
+ * @returns CategorizationCaller
+ */
+export const categorize = (file, id = undefined, config = undefined) =>
+  new CategorizationCaller(loadCategorizationFromYML(file), parseCategorizationPromptFromYML(file), id, config);
+
+/**
+ * Creates a caller keeping the message history across runs, where every run is a follow-up turn linked to the previous one
+ * @param {string | Array} context - system prompts (or role-tagged messages) preceding the conversation
+ * @param {string | undefined} id - if no id is provided, a hash value will be used (of the context and config)
+ * @param {Object | undefined} config - config merged with the global config
+ * @returns ConversationCaller
+ */
+export const conversation = (context, id = undefined, config = undefined) => new ConversationCaller(context, id, config);
+
+/**
+ * Creates a caller embedding its input (or the output of the previous response), outputting the vector
+ * @param {string | undefined} id - if no id is provided, a hash value will be used (of the config)
+ * @param {Object | undefined} config - config merged with the global config, e.g., { model: "text-embedding-nomic-embed-text-v1.5" }
+ * @returns EmbeddingCaller
+ */
+export const embed = (id = undefined, config = undefined) => new EmbeddingCaller(id, config);
+
+/**
+ * Creates a caller served by the first matching route (an endpoint/model config) that does not fail, falling through on connection or server errors
+ * @param {string | Array} context - system prompts (or role-tagged messages)
+ * @param {Object[]} routes - ordered configs, e.g., [{ name: "local", model, port }, { name: "remote", model, path, api_key }], optionally with rules (minLength, maxLength, when)
+ * @param {string | undefined} id - if no id is provided, a hash value will be used (of the context, routes and config)
+ * @param {Object | undefined} config - config shared by all routes
+ * @returns RoutingCaller
+ */
+export const route = (context, routes, id = undefined, config = undefined) => new RoutingCaller(context, routes, id, config);
+
 /**
  * Returns true if the object provided (hashed) or the string provided exists as a caller
  * @param {Object | string} id 
@@ -2,4 +2,9 @@ export { Caller } from "./base.js";
 export { ProgrammaticCaller } from "./caller-programmatic.js";
 export { LLMCaller } from "./caller-llm.js";
 export { IdentityCaller } from "./caller-identity.js";
-export { $, get, exists } from "./caller-utils.js";
+export { CategorizationCaller } from "./caller-categorization.js";
+export { ConversationCaller } from "./caller-conversation.js";
+export { ToolCaller } from "./caller-tool.js";
+export { EmbeddingCaller } from "./caller-embedding.js";
+export { RoutingCaller } from "./caller-routing.js";
+export { $, get, exists, categorize, conversation, embed, route } from "./caller-utils.js";
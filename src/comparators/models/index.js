@@ -2,4 +2,5 @@ export { ComparisonModelBase } from './base.js'
 export { DistanceComparisonModel } from './model-distance.js'
 export { EqualComparisonModel } from './model-equals.js'
 export { KrippendorffsComparisonModel } from './model-krippendorffs.js'
-export { CohensComparisonModel } from './model-cohens.js'
\ No newline at end of file
+export { CohensComparisonModel } from './model-cohens.js'
+export { SemanticSimilarityComparisonModel } from './model-semantic.js'
@@ -0,0 +1,91 @@
+import { ComparisonModelBase } from "./base.js";
+
+const isVector = (v) => Array.isArray(v) && v.length > 0 && v.every((x) => typeof x === "number");
+
+// A single embedding is compared as a list of one
+const asList = (v) => (Array.isArray(v) && !isVector(v) ? v : [v]);
+
+/**
+ * Calculates the semantic similarity between two responses as the cosine similarity of their embeddings (see EmbeddingCaller).
+ * Returns a value between -1 and 1 (in practice mostly 0-1 for text embeddings), or, if thresholds are given, agreement:
+ * - 1.0 means the similarity is at or above the agree threshold
+ * - 0.5 means the similarity is between the disagree and agree threshold (only if both are given)
+ * - 0.0 means the similarity is below the disagree threshold
+ *
+ * Lists of embeddings are compared pairwise (by position), returning the average.
+ */
+export class SemanticSimilarityComparisonModel extends ComparisonModelBase {
+  /**
+   * @param {number | { agree: number, disagree: number } | undefined} threshold - a single threshold separating agreement
+   * from disagreement, or separate thresholds with partial agreement in between
+   */
+  constructor(threshold = undefined) {
+    super();
+    if (typeof threshold === "number") threshold = { agree: threshold, disagree: threshold };
+    if (threshold !== undefined && (typeof threshold.agree !== "number" || typeof threshold.disagree !== "number"))
+      throw new Error("Threshold must be a number or { agree, disagree }");
+    if (threshold !== undefined && threshold.disagree > threshold.agree)
+      throw new Error("The disagree threshold cannot exceed the agree threshold");
+    this.threshold = threshold;
+  }
+
+  /**
+   * Cosine similarity of two vectors
+   * @param {number[]} a
+   * @param {number[]} b
+   * @returns number (-1-1)
+   */
+  similarity(a, b) {
+    if (!isVector(a) || !isVector(b))
+      throw new Error("Semantic similarity requires embeddings (vectors of numbers), use an EmbeddingCaller");
+    if (a.length !== b.length) throw new Error(`Embeddings differ in dimensions (${a.length} and ${b.length})`);
+    let dot = 0;
+    let na = 0;
+    let nb = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      na += a[i] * a[i];
+      nb += b[i] * b[i];
+    }
+    if (na === 0 || nb === 0) return 0;
+    return dot / (Math.sqrt(na) * Math.sqrt(nb));
+  }
+
+  /**
+   * Turns a similarity into agreement using the thresholds (if any)
+   * @param {number} similarity
+   * @returns number
+   */
+  score(similarity) {
+    if (!this.threshold) return similarity;
+    if (similarity >= this.threshold.agree) return 1;
+    if (similarity < this.threshold.disagree) return 0;
+    return 0.5;
+  }
+
+  /**
+   * Execute a comparison between two embeddings, or two lists of embeddings (compared by position)
+   * @param {number[] | number[][]} inputa
+   * @param {number[] | number[][]} inputb
+   * @returns number
+   */
+  run(inputa, inputb) {
+    inputa = asList(inputa);
+    inputb = asList(inputb);
+    if (inputa.length !== inputb.length)
+      throw new Error(`Cannot compare ${inputa.length} with ${inputb.length} embeddings`);
+    if (inputa.length === 0) return 1.0;
+    const sum = inputa.reduce((s, a, i) => s + this.score(this.similarity(a, inputb[i])), 0);
+    return sum / inputa.length;
+  }
+
+  /**
+   * Compares two responses holding embeddings (or lists of embeddings)
+   * @param {Response} responseA
+   * @param {Response} responseB
+   * @returns number
+   */
+  compare(responseA, responseB) {
+    return this.run(responseA.output, responseB.output);
+  }
+}
@@ -13,15 +13,23 @@ export const generatingType = Object.freeze({
 // Store for pending caller lookups
 const pendingCallerLookups = new Map();
 
+// Responses with several parents (e.g., of _.parallel) hold the list of parent Responses as input
+const isParentList = (input) =>
+  Array.isArray(input) && input.length > 0 && input.every((parent) => parent instanceof Response);
+
+// Keeps the distinct values of a list, in order
+const distinct = (list) => [...new Set(list)];
+
 /**
- * A response to track previous transformations applied through Callers
+ * A response to track previous transformations applied through Callers. Transformations form a DAG, as a Response may have
+ * several parents (e.g., the branches of _.parallel), in which case its input is the list of parent Responses.
  */
 export class Response {
   /**
    * Create a response
    * @param {Object | string} output - the generated output
    * @param {Caller} caller - the caller used to generate the output
-   * @param {Response | string} input - the input used for the Caller
+   * @param {Response | Response[] | string} input - the input used for the Caller, or the parent Responses it combines
    * @param {undefined | string} generator - default to GeneratingType.PROGRAMMATIC but alternatives can be specified
    */
   constructor(output, caller, input, generator = generatingType.PROGRAMMATIC) {
@@ -31,8 +39,9 @@ export class Response {
     this.caller = caller;
     this.input = input;
     this.generator = generator;
-    this.root = !(input instanceof Response);
-    this.level = this.root ? 1 : this.input.level + 1;
+    const parents = this.getParents();
+    this.root = parents.length === 0;
+    this.level = this.root ? 1 : Math.max(...parents.map((parent) => parent.level)) + 1;
   }
 
   /** for creating a response without a caller, if no callerName is provided, a dummy caller is created (using the name "identity"). Uses the generatingType.CUSTOM */
@@ -63,17 +72,19 @@ export class Response {
   }
 
   /**
-   * Get the response at a given level (backtracking from current response), 0 being the previous response.
+   * Get the response at a given level (backtracking from current response), 0 being the response itself.
+   * Where the lineage has several parents, the distinct responses (or inputs) at that level are returned as a list,
+   * unless all paths lead to the same one.
    * @param {number} level
-   * @returns Response
+   * @returns Response | Response[]
    */
   get(level = 0){
-    let curr = this;
+    let curr = [this];
     for(let i = 0; i < level; i++){
-      if(!(curr instanceof Response)) throw new Error("Cannot get a response at level " + level + " because the response at level " + (level - 1) + " was not a response.");
-      curr = curr.input;
+      if(!curr.every((r) => r instanceof Response)) throw new Error("Cannot get a response at level " + level + " because the response at level " + (level - 1) + " was not a response.");
+      curr = distinct(curr.flatMap((r) => (r.getParents().length > 0 ? r.getParents() : [r.input])));
     }
-    return curr;
+    return curr.length === 1 ? curr[0] : curr;
   }
 
   /**
@@ -100,6 +111,24 @@ export class Response {
     return this.input;
   }
 
+  /**
+   * Get the parent Responses, i.e., the input if it is a Response, the combined Responses if it has several parents
+   * (e.g., of _.parallel), and none for a root response
+   * @returns Response[]
+   */
+  getParents() {
+    if (isParentList(this.input)) return this.input;
+    return this.input instanceof Response ? [this.input] : [];
+  }
+
+  /**
+   * Get the previous turn of the conversation the response is part of (see ConversationCaller)
+   * @returns Response | undefined
+   */
+  getPrevious() {
+    return this.previous;
+  }
+
   /**
    * Determine whether or not this is the first transformation applied to the input
    * @returns boolean
@@ -122,15 +151,32 @@ export class Response {
   }
 
   /**
-   * retrieves the root input (nested in multiple transformations)
+   * retrieves the root input (nested in multiple transformations). Where the lineage has several parents,
+   * the distinct root inputs are returned as a list, unless all paths lead to the same one.
    * @returns Object | string
    */
   rootInput() {
-    let curr = this;
-    while (curr instanceof Response) {
-      curr = curr.input;
-    }
-    return curr;
+    const roots = distinct(this.lineage().filter((r) => r.root).map((r) => r.input));
+    return roots.length === 1 ? roots[0] : roots;
+  }
+
+  /**
+   * Get all responses in the lineage of this response (including itself), each once, starting with this response
+   * and preceding any of its parents
+   * @returns Response[]
+   */
+  lineage() {
+    const visited = new Set();
+    const order = [];
+    // a response is placed after all responses it is an ancestor of
+    const visit = (response) => {
+      if (visited.has(response)) return;
+      visited.add(response);
+      for (const parent of response.getParents()) visit(parent);
+      order.push(response);
+    };
+    visit(this);
+    return order.reverse();
   }
 
   /**
@@ -148,25 +194,47 @@ export class Response {
    */
   toStringExpanded(newline = true) {
     let str = "";
-    let curr = this;
-    while (curr instanceof Response) {
+    for (const curr of this.lineage()) {
       str += curr + (newline ? "\n" : "");
-      curr = curr.input;
     }
     return str;
   }
   /**
-   * to provide a shallow copy for json (includes caller simply as id)
+   * to provide a shallow copy for json (includes caller simply as id). Responses reached through several paths of the lineage
+   * (e.g., the Response holding the list of _.map) are serialized once, marked with an $id, and referenced as { $ref } elsewhere.
    */
   toJSON() {
-    return {
-      output: this.output,
-      caller: this.caller.id,
-      input: this.input instanceof Response ? this.input.toJSON() : this.input,
-      root: this.root,
-      level: this.level,
-      generator: this.generator
-    }
+    const paths = new Map();
+    const count = (response) => {
+      paths.set(response, (paths.get(response) ?? 0) + 1);
+      if (paths.get(response) > 1) return;
+      response.getParents().forEach(count);
+      if (response.previous instanceof Response) count(response.previous);
+    };
+    count(this);
+
+    const ids = new Map();
+    // the input is serialized before the previous turn, the order in which Response.parse restores them
+    const serialize = (response) => {
+      if (ids.has(response)) return { $ref: ids.get(response) };
+      if (paths.get(response) > 1) ids.set(response, ids.size + 1);
+      const input = isParentList(response.input)
+        ? response.input.map(serialize)
+        : response.input instanceof Response ? serialize(response.input) : response.input;
+      return {
+        ...(ids.has(response) ? { $id: ids.get(response) } : {}),
+        output: response.output,
+        caller: response.caller.id,
+        input,
+        root: response.root,
+        level: response.level,
+        generator: response.generator,
+        config: response.config,
+        metadata: response.metadata,
+        previous: response.previous instanceof Response ? serialize(response.previous) : undefined
+      };
+    };
+    return serialize(this);
   }
 
   /**
@@ -179,11 +247,18 @@ export class Response {
   }
 
   /**
-   * Parses an Object into a Response
+   * Parses an Object into a Response. Responses serialized once for several paths of the lineage (see toJSON)
+   * are restored as a single Response.
    * @param {Object} obj
+   * @param {Map} parsed - responses parsed so far, by their $id
    * @returns Response
    */
-  static parse(obj) {
+  static parse(obj, parsed = new Map()) {
+    if (obj.$ref !== undefined) {
+      if (!parsed.has(obj.$ref)) throw new Error(`Reference to unknown response (${obj.$ref})`);
+      return parsed.get(obj.$ref);
+    }
+
     // Create a temporary caller object if needed
     let caller = obj.caller;
     if (typeof caller === 'string') {
@@ -204,11 +279,17 @@ export class Response {
     // Set additional properties
     response.root = obj.root;
     response.level = obj.level;
+    if (obj.config) response.config = obj.config;
+    if (obj.metadata) response.metadata = obj.metadata;
 
-    // Recursively parse input if it's a Response object
-    if (obj.input && typeof obj.input === 'object' && 'caller' in obj.input) {
-      response.input = Response.parse(obj.input);
+    // Recursively parse input if it's a Response object (or a list of these, for several parents)
+    const isResponse = (o) => o && typeof o === 'object' && ('caller' in o || '$ref' in o);
+    if (isResponse(obj.input)) {
+      response.input = Response.parse(obj.input, parsed);
+    } else if (Array.isArray(obj.input) && obj.input.length > 0 && obj.input.every(isResponse)) {
+      response.input = obj.input.map((parent) => Response.parse(parent, parsed));
     }
+    if (obj.previous) response.previous = Response.parse(obj.previous, parsed);
 
     // If we're using a temporary caller, add this response to pending lookups
     if (!(caller instanceof Caller)) {
@@ -218,6 +299,7 @@ export class Response {
       pendingCallerLookups.get(caller.id).add(response);
     }
 
+    if (obj.$id !== undefined) parsed.set(obj.$id, response);
     return response;
   }
 
@@ -0,0 +1,87 @@
+import { BudgetExceededError } from "./errors.js";
+
+/**
+ * A budget of tokens and/or calls, shared by the requests it is passed with (e.g., caller.run(input, { budget }) for every
+ * input of a batch, or { budget } in the config of a caller). Once exhausted, requests are skipped (failing with a
+ * BudgetExceededError) and recorded in 'skipped'. Replies served from the cache or a cassette are not charged.
+ *
+ * The tokens of a request are charged as estimated (see setTokenizer) when it is issued, and corrected by the usage
+ * reported by the server once it completes. Requests whose prompt exceeds the remaining tokens are skipped.
+ */
+export class Budget {
+  /**
+   * @param {Object} limits
+   * @param {number} limits.tokens - maximum number of tokens (prompt and completion)
+   * @param {number} limits.calls - maximum number of requests (retries of a request are not counted)
+   */
+  constructor({ tokens = Infinity, calls = Infinity } = {}) {
+    this.limits = { tokens, calls };
+    this.used = { tokens: 0, calls: 0 };
+    this.skipped = [];
+  }
+
+  /**
+   * Get the tokens and calls left
+   * @returns {{ tokens: number, calls: number }}
+   */
+  remaining() {
+    return {
+      tokens: Math.max(0, this.limits.tokens - this.used.tokens),
+      calls: Math.max(0, this.limits.calls - this.used.calls),
+    };
+  }
+
+  /**
+   * Whether or not the budget allows no further requests
+   * @returns boolean
+   */
+  exhausted() {
+    const { tokens, calls } = this.remaining();
+    return tokens === 0 || calls === 0;
+  }
+
+  /**
+   * Issues a request if the budget allows it, charging its tokens, and otherwise records it as skipped
+   * @param {Function} request - async () => reply
+   * @param {number} tokens - estimated tokens of the prompt
+   * @param {Function} count - (reply) => tokens actually used by the request
+   * @param {Object} details - { callerId, endpoint, input } describing the request
+   * @returns reply of the request
+   */
+  async spend(request, tokens, count, { callerId, endpoint, input } = {}) {
+    const { calls, tokens: left } = this.remaining();
+    if (calls === 0 || tokens > left) {
+      const reason = calls === 0 ? "calls" : "tokens";
+      this.skipped.push({ callerId, endpoint, input, tokens, reason });
+      throw new BudgetExceededError(
+        `${reason === "calls" ? "Call" : "Token"} budget exhausted, skipped request${callerId ? ` of '${callerId}'` : ""}`,
+        { endpoint, attempts: 0 }
+      );
+    }
+    this.used.calls++;
+    this.used.tokens += tokens;
+    let reply;
+    try {
+      reply = await request();
+    } catch (e) {
+      // failed requests count as calls, but their tokens are not charged
+      this.used.tokens -= tokens;
+      throw e;
+    }
+    this.used.tokens += count(reply) - tokens;
+    return reply;
+  }
+
+  /**
+   * Get a summary of the budget, including the requests skipped
+   * @returns {{ limits: Object, used: Object, remaining: Object, skipped: Object[] }}
+   */
+  report() {
+    return {
+      limits: { ...this.limits },
+      used: { ...this.used },
+      remaining: this.remaining(),
+      skipped: [...this.skipped],
+    };
+  }
+}
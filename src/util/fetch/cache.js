@@ -0,0 +1,134 @@
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+
+export const DEFAULT_CACHE_DIR = ".aitomics-cache";
+
+let cache = null; // { dir, mode }, null when disabled
+let stats = { hits: 0, misses: 0, writes: 0 };
+
+/**
+ * Stringifies a value with sorted object keys, such that equal content yields equal keys
+ * @param {any} value
+ * @returns string
+ */
+export const stableStringify = (value) => {
+  // e.g., images are described by their reference
+  if (typeof value?.toJSON === "function") return stableStringify(value.toJSON());
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object")
+    return `{${Object.keys(value)
+      .sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  return JSON.stringify(value);
+};
+
+const entryPath = (key) => path.join(cache.dir, `${key}.json`);
+
+/**
+ * Enables the on-disk cache of LLM responses (resets the statistics).
+ * @param {Object} options
+ * @param {string} options.dir - directory to store entries in (defaults to .aitomics-cache)
+ * @param {string} options.mode - 'read-write' (default) or 'cache-only', which fails on misses instead of requesting
+ */
+export const enableCache = ({ dir = DEFAULT_CACHE_DIR, mode = "read-write" } = {}) => {
+  if (!["read-write", "cache-only"].includes(mode))
+    throw new Error(`Unknown cache mode '${mode}'`);
+  fs.mkdirSync(dir, { recursive: true });
+  cache = { dir, mode };
+  stats = { hits: 0, misses: 0, writes: 0 };
+};
+
+/**
+ * Disables the cache (entries on disk are kept)
+ */
+export const disableCache = () => {
+  cache = null;
+};
+
+/**
+ * Get the current cache settings
+ * @returns {{ dir: string, mode: string } | null} null if disabled
+ */
+export const getCache = () => cache && { ...cache };
+
+/**
+ * Get hit/miss statistics since the cache was enabled
+ * @returns {{ hits: number, misses: number, writes: number }}
+ */
+export const getCacheStats = () => ({ ...stats });
+
+/**
+ * Computes the content-addressed key of a request, based on model, messages (or embedded input), sampling settings, output schema,
+ * tools and logprobs
+ * @param {Object} request - { provider, model, messages, settings, schema, tools, logprobs, input }
+ * @returns string
+ */
+export const cacheKey = ({ provider, model, messages, settings, schema, tools, logprobs, input }) => {
+  // streaming does not alter the content
+  const { stream, ...sampling } = settings;
+  return createHash("sha256")
+    .update(stableStringify({ provider, model, messages, settings: sampling, schema, tools, logprobs, input }))
+    .digest("hex");
+};
+
+/**
+ * Reads an entry from the cache, counting hits and misses
+ * @param {string} key
+ * @param {string | undefined} callerId - recorded on the entry (if not already) for later invalidation
+ * @returns {Object | undefined} the entry if cached
+ */
+export const readCache = (key, callerId = undefined) => {
+  const file = entryPath(key);
+  if (!fs.existsSync(file)) {
+    stats.misses++;
+    return undefined;
+  }
+  stats.hits++;
+  const entry = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (callerId !== undefined && !entry.callers?.includes(callerId)) {
+    entry.callers = [...(entry.callers ?? []), callerId];
+    fs.writeFileSync(file, JSON.stringify(entry, null, 2));
+  }
+  return entry;
+};
+
+/**
+ * Writes an entry to the cache, recording the caller (if any) for later invalidation
+ * @param {string} key
+ * @param {Object} entry - { output, ... }
+ * @param {string | undefined} callerId
+ */
+export const writeCache = (key, entry, callerId) => {
+  const file = entryPath(key);
+  const existing = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : undefined;
+  const callers = new Set(existing?.callers ?? []);
+  if (callerId !== undefined) callers.add(callerId);
+  // write to a temporary file first, to avoid partial entries when runs are interrupted
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify({ ...entry, callers: [...callers] }, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+  stats.writes++;
+};
+
+/**
+ * Removes entries from the cache
+ * @param {string | undefined} callerId - only removes entries produced by this caller, removes all entries if undefined
+ * @returns number of entries removed
+ */
+export const invalidateCache = (callerId = undefined) => {
+  if (!cache) throw new Error("Cache is not enabled");
+  let removed = 0;
+  for (const name of fs.readdirSync(cache.dir)) {
+    if (!name.endsWith(".json")) continue;
+    const file = path.join(cache.dir, name);
+    if (callerId !== undefined) {
+      const entry = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (!entry.callers?.includes(callerId)) continue;
+    }
+    fs.unlinkSync(file);
+    removed++;
+  }
+  return removed;
+};
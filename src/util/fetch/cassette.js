@@ -0,0 +1,103 @@
+import fs from "fs";
+import { stableStringify } from "./cache.js";
+import { CassetteMismatchError } from "./errors.js";
+
+const CASSETTE_FILE_HEADER = "AITOMICS_CASSETTE_v1";
+
+let cassette = null; // { file, mode, match, interactions, used }, null when not in use
+
+const normalize = (text) => (typeof text === "string" ? text.replace(/\s+/g, " ").trim() : text);
+
+/**
+ * Matching rules used when replaying, comparing a recorded request with an incoming request
+ */
+const matchers = {
+  exact: (a, b) => stableStringify(a) === stableStringify(b),
+  normalized: (a, b) =>
+    matchers.exact(
+      { ...a, messages: a.messages?.map((m) => ({ ...m, content: normalize(m.content) })) },
+      { ...b, messages: b.messages?.map((m) => ({ ...m, content: normalize(m.content) })) }
+    ),
+};
+
+// streaming does not alter the content, so it is not part of the request
+const describe = ({ provider, model, messages, settings, schema, tools, logprobs, input }) => {
+  const { stream, ...sampling } = settings;
+  return { provider, model, messages, settings: sampling, schema, tools, logprobs, input };
+};
+
+const save = () =>
+  fs.writeFileSync(
+    cassette.file,
+    JSON.stringify({ _header: CASSETTE_FILE_HEADER, interactions: cassette.interactions }, null, 2)
+  );
+
+/**
+ * Uses a cassette for all requests made through fetch. In 'record' mode every request/response pair is written
+ * to the file (replacing previous recordings), in 'replay' mode requests are served from the file without network access.
+ * @param {string} file
+ * @param {Object} options
+ * @param {string} options.mode - 'replay' (default) or 'record'
+ * @param {string | Function} options.match - 'exact' (default), 'normalized' (whitespace is collapsed in messages) or a function (recorded, request) => boolean
+ */
+export const useCassette = (file, { mode = "replay", match = "exact" } = {}) => {
+  if (typeof file !== "string") throw new Error("Not a file name");
+  if (!["record", "replay"].includes(mode)) throw new Error(`Unknown cassette mode '${mode}'`);
+  const matcher = typeof match === "function" ? match : matchers[match];
+  if (!matcher) throw new Error(`Unknown cassette matching rule '${match}'`);
+
+  let interactions = [];
+  if (mode === "replay") {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (data._header !== CASSETTE_FILE_HEADER)
+      throw new Error("Invalid file format: Not an Aitomics cassette file");
+    interactions = data.interactions;
+  }
+  cassette = { file, mode, match: matcher, interactions, used: new Set() };
+  if (mode === "record") save();
+};
+
+/**
+ * Stops using the current cassette
+ */
+export const ejectCassette = () => {
+  cassette = null;
+};
+
+/**
+ * Get the cassette currently in use
+ * @returns {{ file: string, mode: string, interactions: number } | null} null if none is used
+ */
+export const getCassette = () =>
+  cassette && { file: cassette.file, mode: cassette.mode, interactions: cassette.interactions.length };
+
+/**
+ * Records a request/response pair to the cassette
+ * @param {Object} request - { provider, model, messages, settings, schema, tools, logprobs, input }
+ * @param {Object} response - { output, usage, toolCalls, logprobs }
+ */
+export const recordCassette = (request, response) => {
+  cassette.interactions.push({ request: describe(request), response });
+  save();
+};
+
+/**
+ * Serves a recorded response matching the request, preferring interactions not yet served (in recorded order)
+ * @param {Object} request - { provider, model, messages, settings, schema, tools, logprobs, input }
+ * @param {string} endpoint - used to describe errors
+ * @returns {Object} the recorded response, { output, usage, toolCalls, logprobs }
+ */
+export const replayCassette = (request, endpoint) => {
+  const described = describe(request);
+  const matching = cassette.interactions
+    .map((interaction, index) => ({ interaction, index }))
+    .filter(({ interaction }) => cassette.match(interaction.request, described));
+  if (matching.length === 0)
+    throw new CassetteMismatchError(
+      `No recorded interaction in '${cassette.file}' matches the request to ${endpoint}: ${JSON.stringify(described.messages)}`,
+      { endpoint, attempts: 0 }
+    );
+  const { interaction, index } = matching.find(({ index }) => !cassette.used.has(index)) ?? matching[0];
+  cassette.used.add(index);
+  return interaction.response;
+};
@@ -0,0 +1,74 @@
+import fs from "fs";
+import https from "https";
+import tls from "tls";
+
+const REDACTED = "[redacted]";
+const agents = new Map();
+
+/**
+ * Resolves ${NAME} references in the value to environment variables
+ * @param {string} value
+ * @returns string
+ */
+const fromEnv = (value) =>
+  String(value).replace(/\$\{(\w+)\}/g, (_, name) => {
+    if (process.env[name] === undefined) throw new Error(`Environment variable '${name}' is not set`);
+    return process.env[name];
+  });
+
+/**
+ * Builds the headers of a request: the content type, the api key (as a bearer token, unless the provider
+ * describes its own authentication), the headers of the provider and the custom headers of the config
+ * @param {Object} config - uses api_key and headers, both of which may reference environment variables as ${NAME}
+ * @param {Object} provider
+ * @returns Object
+ */
+export const requestHeaders = (config, provider) => {
+  const key = config.api_key === undefined || config.api_key === null ? undefined : fromEnv(config.api_key);
+  const auth = key === undefined ? {} : provider.auth ? provider.auth(key) : { Authorization: `Bearer ${key}` };
+  const custom = Object.fromEntries(
+    Object.entries(config.headers ?? {}).map(([name, value]) => [name, fromEnv(value)])
+  );
+  return {
+    "Content-Type": "application/json",
+    ...auth,
+    ...(provider.headers ? provider.headers(config) : {}),
+    ...custom,
+  };
+};
+
+/**
+ * Get the https agent for the tls config, which is only used by aitomics requests. A custom ca (PEM content or a path
+ * to a PEM file) is trusted in addition to the default root certificates, insecure disables certificate checks.
+ * @param {Object} config - uses tls: { ca, insecure }
+ * @returns https.Agent | undefined - undefined if no tls config is given (the default agent is used)
+ */
+export const httpsAgent = (config) => {
+  if (!config.tls) return undefined;
+  const { ca, insecure = false } = config.tls;
+  const pem = ca === undefined ? undefined : ca.includes("-----BEGIN") ? ca : fs.readFileSync(ca, "utf8");
+  const key = JSON.stringify([pem, insecure]);
+  if (!agents.has(key))
+    agents.set(
+      key,
+      new https.Agent({
+        ca: pem === undefined ? undefined : [...tls.rootCertificates, pem],
+        rejectUnauthorized: !insecure,
+      })
+    );
+  return agents.get(key);
+};
+
+/**
+ * Removes secrets (the api key and custom header values) from a config, e.g., before it is stored with a response
+ * @param {Object} config
+ * @returns Object
+ */
+export const redactConfig = (config) => {
+  if (!config) return config;
+  const redacted = { ...config };
+  if (redacted.api_key !== undefined) redacted.api_key = REDACTED;
+  if (redacted.headers)
+    redacted.headers = Object.fromEntries(Object.keys(redacted.headers).map((name) => [name, REDACTED]));
+  return redacted;
+};
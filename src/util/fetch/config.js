@@ -0,0 +1,363 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import { fileURLToPath } from "url";
+import { validateObject } from "../helper.js";
+import { defaultEndpoint } from "./providers.js";
+
+const CONFIG_FILE = "default-config.yml";
+const PROJECT_CONFIG_FILE = "aitomics.config.yml";
+const ENV_PREFIX = "AITOMICS_";
+
+export const requiredSchema = {
+  model: { type: String, required: true },
+  path: { type: String, required: true },
+  port: { type: Number, required: true },
+  endpoint: { type: String, required: false },
+  provider: { type: String, required: false },
+  timeout: { type: Number, required: false },
+  api_key: { type: String, required: false },
+  headers: { type: Object, required: false },
+  tls: {
+    ca: { type: String, required: false },
+    insecure: { type: Boolean, required: false },
+    required: false,
+  },
+  retry: {
+    retries: { type: Number, required: false },
+    delay: { type: Number, required: false },
+    max_delay: { type: Number, required: false },
+    factor: { type: Number, required: false },
+    jitter: { type: Boolean, required: false },
+    required: false,
+  },
+  settings: {
+    temperature: { type: Number, required: true },
+    max_tokens: { type: Number, required: true },
+    stream: { type: Boolean, required: true },
+    required: true,
+  },
+};
+
+// sections of the config which can be set through AITOMICS_<SECTION>_<KEY>
+const SECTIONS = ["retry", "tls", "settings"];
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Layers of configuration, from lowest to highest precedence. Each layer is { name, source, values }, where values
+ * may hold 'profiles' (named overrides of the layer) and, for files, 'profile' (the profile selected by default).
+ */
+const layers = {
+  defaults: null,
+  project: null,
+  env: null,
+  explicit: null,
+};
+let selectedProfile = undefined; // set through useProfile
+let llm_config = null;
+let layered = null; // the config of the layers, before the endpoint of the provider is applied
+let sources = {};
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+const TYPES = new Map([
+  [String, "string"],
+  [Number, "number"],
+  [Boolean, "boolean"],
+]);
+
+/**
+ * Checks the values of a config against the types of the config form, as the schema validator only reports mismatches
+ * @param {Object} config
+ * @param {Object} schema
+ * @param {string} prefix - path of the section checked
+ */
+const checkTypes = (config, schema, prefix = "") => {
+  for (const [key, rule] of Object.entries(schema)) {
+    if (key === "required") continue;
+    const at = prefix + key;
+    const value = config?.[key];
+    if (value === undefined || value === null) {
+      if (rule.required) throw new Error(`Invalid config: '${at}' is required`);
+      continue;
+    }
+    const type = rule.type ? TYPES.get(rule.type) ?? "object" : "object";
+    const valid = type === "object" ? isObject(value) : typeof value === type && !Number.isNaN(value);
+    if (!valid) throw new Error(`Invalid config: '${at}' must be ${type === "object" ? "an" : "a"} ${type}, got ${JSON.stringify(value)}`);
+    if (!rule.type) checkTypes(value, rule, `${at}.`);
+  }
+};
+
+/**
+ * Validates a config against the config form, failing on missing values and type mismatches. A copy is passed to the
+ * schema validator, as it strips keys the form does not list, such as custom headers and settings passed through to the
+ * server (e.g., top_p, seed).
+ * @param {Object} config
+ */
+const validate = (config) => {
+  validateObject(JSON.parse(JSON.stringify(config)), requiredSchema);
+  checkTypes(config, requiredSchema);
+};
+
+/**
+ * Applies the chat endpoint of the provider (e.g., api/chat for ollama) to a config naming no endpoint
+ * @param {Object} config
+ * @returns Object
+ */
+const withEndpoint = (config) => {
+  const endpoint = defaultEndpoint(config.provider);
+  return config.endpoint !== undefined || endpoint === undefined ? config : { ...config, endpoint };
+};
+
+const readYML = (file) => {
+  if (typeof file !== "string") throw new Error("Not a file name");
+  return YAML.parse(fs.readFileSync(file, "utf8")) ?? {};
+};
+
+/**
+ * Finds the project config file, searching from the directory upward
+ * @param {string} dir
+ * @returns string | undefined
+ */
+const findProjectConfig = (dir) => {
+  let curr = path.resolve(dir);
+  while (true) {
+    const file = path.join(curr, PROJECT_CONFIG_FILE);
+    if (fs.existsSync(file)) return file;
+    const parent = path.dirname(curr);
+    if (parent === curr) return undefined;
+    curr = parent;
+  }
+};
+
+/**
+ * Parses the value of an environment variable according to the type of its key in the config form. Values of
+ * keys outside the form (e.g., AITOMICS_SETTINGS_TOP_P) are parsed as JSON if possible (e.g., 0.9, true or ["\n"]) and kept as text otherwise.
+ * @param {string} raw
+ * @param {Function | undefined} type
+ * @param {string} name
+ * @returns value
+ */
+const parseEnv = (raw, type, name) => {
+  if (type === String) return raw;
+  if (type === Number) {
+    const value = Number(raw);
+    if (raw.trim() === "" || Number.isNaN(value)) throw new Error(`${name} must be a number, got '${raw}'`);
+    return value;
+  }
+  if (type === Boolean) {
+    if (!/^(true|false)$/i.test(raw.trim())) throw new Error(`${name} must be true or false, got '${raw}'`);
+    return raw.trim().toLowerCase() === "true";
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return raw;
+  }
+};
+
+/**
+ * Reads AITOMICS_* environment variables. Keys of the config (e.g., AITOMICS_MODEL, AITOMICS_PORT) and of its settings
+ * (e.g., AITOMICS_TEMPERATURE) set these, AITOMICS_RETRY_*, AITOMICS_TLS_* and AITOMICS_SETTINGS_* (e.g., AITOMICS_SETTINGS_TOP_P)
+ * set the retry, tls and settings config, and AITOMICS_PROFILE selects a profile. Other variables are ignored.
+ * @returns {{ values: Object, names: Object }} names maps config paths to variable names
+ */
+const readEnv = () => {
+  const values = {};
+  const names = {};
+  const set = (section, key, raw, name) => {
+    const type = section ? requiredSchema[section][key]?.type : requiredSchema[key].type;
+    const value = parseEnv(raw, type, name);
+    if (section) values[section] = { ...values[section], [key]: value };
+    else values[key] = value;
+    names[section ? `${section}.${key}` : key] = name;
+  };
+  for (const [name, raw] of Object.entries(process.env)) {
+    if (!name.startsWith(ENV_PREFIX) || raw === undefined) continue;
+    const key = name.slice(ENV_PREFIX.length).toLowerCase();
+    const section = SECTIONS.find((s) => key.startsWith(`${s}_`));
+    if (key === "profile") values.profile = raw;
+    else if (requiredSchema[key]?.type) set(undefined, key, raw, name);
+    else if (requiredSchema.settings[key]?.type) set("settings", key, raw, name);
+    else if (section) set(section, key.slice(section.length + 1), raw, name);
+  }
+  return { values, names };
+};
+
+/**
+ * Deep merges the values onto the target, recording the source of every value set
+ */
+const merge = (target, values, source, prefix = "") => {
+  for (const [key, value] of Object.entries(values)) {
+    if (key === "profiles" || key === "profile") continue;
+    const at = prefix + key;
+    if (isObject(value)) {
+      target[key] = isObject(target[key]) ? { ...target[key] } : {};
+      merge(target[key], value, source, `${at}.`);
+    } else {
+      target[key] = value;
+      sources[at] = typeof source === "function" ? source(at) : source;
+    }
+  }
+};
+
+/**
+ * The profile in use, selected through useProfile, AITOMICS_PROFILE or the 'profile' key of a config file (highest layer wins)
+ * @returns string | undefined
+ */
+export const getProfile = () => {
+  if (selectedProfile !== undefined) return selectedProfile;
+  if (layers.env?.values.profile !== undefined) return layers.env.values.profile;
+  for (const layer of [layers.explicit, layers.project, layers.defaults]) {
+    if (layer?.values.profile !== undefined) return layer.values.profile;
+  }
+  return undefined;
+};
+
+/**
+ * Recomputes the effective config from the layers
+ */
+const compute = () => {
+  const profile = getProfile();
+  const config = {};
+  const previous = sources;
+  sources = {};
+  let found = profile === undefined;
+  for (const layer of Object.values(layers)) {
+    if (!layer) continue;
+    const describe = layer.names
+      ? (at) => `${layer.name} (${layer.names[at]})`
+      : layer.source
+        ? `${layer.name} (${layer.source})`
+        : layer.name;
+    merge(config, layer.values, describe);
+    const overrides = profile !== undefined ? layer.values.profiles?.[profile] : undefined;
+    if (overrides) {
+      found = true;
+      merge(config, overrides, `${layer.name} (${layer.source ? `${layer.source}, ` : ""}profile ${profile})`);
+    }
+  }
+  try {
+    if (!found) throw new Error(`Unknown profile '${profile}'`);
+    validate(config);
+  } catch (e) {
+    sources = previous;
+    throw e;
+  }
+  if (config.endpoint === undefined && defaultEndpoint(config.provider) !== undefined)
+    sources.endpoint = `provider (${config.provider ?? "openai"})`;
+  layered = config;
+  llm_config = withEndpoint(config);
+};
+
+/**
+ * Updates the layers and recomputes the effective config, keeping the previous layers if the result is invalid
+ * @param {Function} change - () => void, updating the layers
+ */
+const update = (change) => {
+  const previous = { ...layers };
+  try {
+    change();
+    compute();
+  } catch (e) {
+    Object.assign(layers, previous);
+    throw e;
+  }
+};
+
+/**
+ * Reloads the bundled defaults, the project config file (aitomics.config.yml, discovered from the directory upward)
+ * and the AITOMICS_* environment variables. Explicitly set config is kept.
+ * @param {string} dir - directory to discover the project config file from (defaults to the working directory)
+ */
+export const reloadConfig = (dir = process.cwd()) => {
+  update(() => {
+    const defaults = path.join(__dirname, CONFIG_FILE);
+    layers.defaults = { name: "defaults", source: defaults, values: readYML(defaults) };
+    const project = findProjectConfig(dir);
+    layers.project = project ? { name: "project", source: project, values: readYML(project) } : null;
+    const env = readEnv();
+    layers.env = Object.keys(env.values).length > 0 ? { name: "env", values: env.values, names: env.names } : null;
+  });
+};
+
+/**
+ * Sets the config file used for fetching, overriding the defaults, project config file and environment variables
+ * @param {string} file
+ */
+export const setConfigFromFile = (file) => {
+  update(() => {
+    layers.explicit = { name: "explicit", source: file, values: readYML(file) };
+  });
+};
+
+/**
+ * Sets the configuration used for fetching, overriding the defaults, project config file and environment variables
+ * @param {Object} obj
+ */
+export const setConfigFromObject = (obj) => {
+  if (!isObject(obj)) throw new Error("Config must be an object");
+  update(() => {
+    layers.explicit = { name: "explicit", values: obj };
+  });
+};
+
+/**
+ * Selects a named profile (defined under 'profiles' in any config layer), undefined restores the default selection
+ * @param {string | undefined} name
+ */
+export const useProfile = (name) => {
+  const previous = selectedProfile;
+  selectedProfile = name;
+  try {
+    compute();
+  } catch (e) {
+    selectedProfile = previous;
+    throw e;
+  }
+};
+
+/**
+ * Get the effective config
+ * @returns Object
+ */
+export const getConfig = () => llm_config;
+
+/**
+ * Reports which layer supplied each value of the effective config
+ * @returns {Object} maps config paths (e.g., 'settings.temperature') to their source (e.g., 'env (AITOMICS_TEMPERATURE)')
+ */
+export const getConfigSources = () => ({ ...sources });
+
+/**
+ * Validates a config against the config form
+ * @param {Object} config
+ */
+export const validateConfig = (config) => validate(config);
+
+/**
+ * Resolves the effective config by merging the given overrides with the set config. Keys of the config
+ * (e.g., model, port) override the config directly, any other keys (e.g., temperature) override the settings.
+ * Unless an endpoint is set, the chat endpoint of the provider is used (e.g., { provider: 'ollama' } uses api/chat).
+ * @param {Object} overrides - e.g., { model, temperature, max_tokens, settings: { ... } }
+ * @returns object validated against the config form
+ */
+export const resolveConfig = (overrides = {}) => {
+  const { settings = {}, ...rest } = overrides;
+  const top = {};
+  const flat = {};
+  for (const [key, value] of Object.entries(rest)) {
+    if (key in requiredSchema) top[key] = value;
+    else flat[key] = value;
+  }
+  const config = withEndpoint({
+    ...layered,
+    ...top,
+    settings: { ...layered.settings, ...flat, ...settings },
+  });
+  validate(config);
+  return config;
+};
+
+reloadConfig();
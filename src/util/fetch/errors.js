@@ -0,0 +1,127 @@
+/**
+ * Base error of failed LLM calls, carrying the status (if any), the endpoint and the number of attempts made.
+ */
+export class LLMError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - { status, endpoint, attempts, body }
+   */
+  constructor(message, { status, endpoint, attempts, body } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.endpoint = endpoint;
+    this.attempts = attempts;
+    this.body = body;
+  }
+
+  /**
+   * Whether or not the call may succeed if attempted again
+   * @returns boolean
+   */
+  isRetryable() {
+    return false;
+  }
+}
+
+/**
+ * The server could not be reached, the connection was dropped or the request timed out.
+ */
+export class ConnectionError extends LLMError {
+  isRetryable() {
+    return true;
+  }
+}
+
+/**
+ * The server rejected the request due to rate limiting (status 429), optionally carrying the delay requested by the server (retryAfter, in ms).
+ */
+export class RateLimitError extends LLMError {
+  constructor(message, { retryAfter, ...details } = {}) {
+    super(message, details);
+    this.retryAfter = retryAfter;
+  }
+
+  isRetryable() {
+    return true;
+  }
+}
+
+/**
+ * The server failed to handle the request (status 5xx).
+ */
+export class ServerError extends LLMError {
+  isRetryable() {
+    return true;
+  }
+}
+
+/**
+ * The server replied, but the reply could not be parsed by the provider adapter.
+ */
+export class MalformedResponseError extends LLMError {}
+
+/**
+ * The request was not cached while the cache is in 'cache-only' mode.
+ */
+export class CacheMissError extends LLMError {}
+
+/**
+ * No recorded interaction of the cassette matches the request while replaying.
+ */
+export class CassetteMismatchError extends LLMError {}
+
+/**
+ * The request was skipped, as the token or call budget passed with it is exhausted (see Budget).
+ */
+export class BudgetExceededError extends LLMError {}
+
+const TLS_CODES = [
+  "SELF_SIGNED_CERT_IN_CHAIN",
+  "DEPTH_ZERO_SELF_SIGNED_CERT",
+  "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+  "UNABLE_TO_GET_ISSUER_CERT_LOCALLY",
+  "CERT_HAS_EXPIRED",
+  "ERR_TLS_CERT_ALTNAME_INVALID",
+];
+const CONNECTION_CODES = ["ECONNREFUSED", "ECONNRESET", "ECONNABORTED", "ETIMEDOUT", "ENOTFOUND", "EAI_AGAIN", "EPIPE"];
+
+/**
+ * Converts an error thrown by axios while requesting to a typed LLMError
+ * @param {Error} e
+ * @param {Object} details - { endpoint, attempts }
+ * @returns LLMError
+ */
+export const toLLMError = (e, details) => {
+  if (e instanceof LLMError) {
+    Object.assign(e, details);
+    return e;
+  }
+  const status = e.response?.status;
+  // streamed replies carry the body as a stream, which is not kept
+  const body = typeof e.response?.data?.pipe === "function" ? undefined : e.response?.data;
+  if (status === 429) {
+    const retryAfter = Number(e.response.headers?.["retry-after"]);
+    return new RateLimitError(`Rate limited by ${details.endpoint}`, {
+      ...details,
+      status,
+      body,
+      retryAfter: Number.isFinite(retryAfter) ? retryAfter * 1000 : undefined,
+    });
+  }
+  if (status >= 500)
+    return new ServerError(`Server error (${status}) from ${details.endpoint}`, { ...details, status, body });
+  if (status)
+    return new LLMError(`Request failed (${status}) for ${details.endpoint}`, { ...details, status, body });
+  // certificate failures are not retried, as they would fail again
+  if (TLS_CODES.includes(e.code))
+    return new LLMError(
+      `Certificate of ${details.endpoint} could not be verified (${e.code}), configure tls.ca or tls.insecure`,
+      details
+    );
+  if (e.code === "ECONNREFUSED")
+    return new ConnectionError("Connection refused, is LM Studio running?", details);
+  if (CONNECTION_CODES.includes(e.code) || e.request)
+    return new ConnectionError(`Connection failed (${e.code ?? e.message}) for ${details.endpoint}`, details);
+  return new LLMError(e.message, details);
+};
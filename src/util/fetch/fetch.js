@@ -1,87 +1,330 @@
 import axios from 'axios';
-import { dirname } from 'path';
-import { fileURLToPath } from 'url';
-import { loadFromFile, validateObject } from "../helper.js";
-
-process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
-
-const CONFIG_FILE = "default-config.yml";
-
-const requiredSchema = {
-  model: { type: String, required: true },
-  path: { type: String, required: true },
-  port: { type: Number, required: true },
-  endpoint: { type: String, required: true },
-  settings: {
-    temperature: { type: Number, required: true },
-    max_tokens: { type: Number, required: true },
-    stream: { type: Boolean, required: true },
-    required: true,
-  },
-};
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
+import { getConfig, validateConfig } from "./config.js";
+import { getProvider } from "./providers.js";
+import { readEvents } from "./stream.js";
+import { CacheMissError, ConnectionError, MalformedResponseError } from "./errors.js";
+import { cacheKey, getCache, readCache, writeCache } from "./cache.js";
+import { getCassette, recordCassette, replayCassette } from "./cassette.js";
+import { withRetry } from "./retry.js";
+import { schedule } from "./scheduler.js";
+import { countMessageTokens, countTokens } from "./tokenizer.js";
+import { httpsAgent, requestHeaders } from "./client.js";
 
-// Remove top-level await
-let llm_config = loadFromFile(__dirname + "/" + CONFIG_FILE, requiredSchema);
+export { setConfigFromFile, setConfigFromObject, resolveConfig } from "./config.js";
 
 const format = (content, role) => ({ role, content });
 
 /**
- * Sets the config file used for fetching (requires elements defined in the default-config.yml file)
- * @param {string} file 
+ * Serves a request from the cassette (when replaying) or the cache, and otherwise requests it, writing the reply to the cache
+ * and the cassette (when recording)
+ * @param {Object} description - describes the request, used to match it in the cache and cassette
+ * @param {Function} request - async () => { output, usage, ... }
+ * @param {string} url - used to describe errors
+ * @param {Object} options - { callerId } recorded with cached entries, { cache: false } bypasses the cache
+ * @param {Function} serve - (reply, source) => reply, applied to replies served without requesting
+ * @returns {Object} the reply, along with its source ('network', 'cache' or 'cassette')
  */
-export const setConfigFromFile = (file) =>
-  (llm_config = loadFromFile(file, requiredSchema));
+const fromSources = async (description, request, url, options, serve = (reply, source) => ({ ...reply, source })) => {
+  const fetched = async () => {
+    const cache = options.cache === false ? null : getCache();
+    if (!cache) return { ...(await request()), source: "network" };
+
+    const key = cacheKey(description);
+    const cached = readCache(key, options.callerId);
+    if (cached) return serve(cached, "cache");
+    if (cache.mode === "cache-only")
+      throw new CacheMissError(`Cache miss for ${url} in cache-only mode`, { endpoint: url, attempts: 0 });
+
+    const reply = await request();
+    const { model, messages, settings, input } = description;
+    writeCache(key, { model, messages, settings, input, ...reply }, options.callerId);
+    return { ...reply, source: "network" };
+  };
+
+  const cassette = getCassette();
+  if (cassette?.mode === "replay") return serve(replayCassette(description, url), "cassette");
+  const reply = await fetched();
+  if (cassette?.mode === "record")
+    recordCassette(description, {
+      output: reply.output,
+      usage: reply.usage,
+      toolCalls: reply.toolCalls,
+      logprobs: reply.logprobs,
+    });
+  return reply;
+};
 
 /**
- * Sets the configuration used for fetching (requires elements described in default-config.yml file)
- * @param {Object} obj 
+ * Charges a request to the budget passed with it (if any), such that it is skipped once the budget is exhausted
+ * @param {Function} request - async () => { output, usage, ... }
+ * @param {number} tokens - estimated tokens of the prompt
+ * @param {Function} count - (reply) => tokens used by the request
+ * @param {Object} details - { endpoint, input } describing the request
+ * @param {Object} options - { budget, callerId }
+ * @returns {Function} async () => reply
  */
-export const setConfigFromObject = (obj) => {
-  validateObject(obj, requiredSchema);
-  llm_config = obj;
+const budgeted = (request, tokens, count, details, options) =>
+  options.budget ? () => options.budget.spend(request, tokens, count, { ...details, callerId: options.callerId }) : request;
+
+/**
+ * Fetch response from LLM including metadata of the call, as described by the effective config (see config.js)
+ * @param {string | Object[] | undefined} content - input to be used as user message, or its content parts ({ type: 'text', text } and
+ * { type: 'image', image }) for multimodal input (none is added if undefined, e.g., when replying with tool results)
+ * @param {[string]} context - input used as system messages (must have role described, e.g., system)
+ * @param {undefined | object} config - used instead of set config if passed, validated against config form
+ * @param {undefined | object} options - { onToken(token) } called for every token received when settings.stream is enabled,
+ * { callerId } recorded with cached entries, { schema } JSON schema the output should follow (sent as structured output if supported),
+ * { tools } definitions ({ name, description, parameters }) of tools the model may call, { logprobs } number of most likely
+ * alternatives to request the log probabilities of for every output token (if supported), { cache: false } bypasses the cache,
+ * { budget } Budget the request is charged to (skipped once exhausted)
+ * @returns {{ output: string, metadata: Object, toolCalls: undefined | Object[], logprobs: undefined | Object[] }} metadata holds model,
+ * settings, provider, promptTokens, completionTokens, finishReason, latency (ms), start and end (ISO timestamps) and source
+ * ('network', 'cache' or 'cassette'), toolCalls holds the tools ({ id, name, arguments }) the model requested to call (if tools are given),
+ * logprobs holds the output tokens ({ token, logprob, top: [{ token, logprob }] }) if requested and reported by the server
+ */
+export const fetchWithMetadata = async (content, context, config = undefined, options = {}) => {
+  if (config === undefined) config = getConfig();
+  else validateConfig(config);
+
+  const start = new Date();
+  const provider = getProvider(config.provider);
+  const endpoint = config.endpoint ?? provider.endpoint;
+  if (endpoint === undefined) throw new Error(`No endpoint configured for provider '${config.provider}'`);
+  const url = `${config.path}:${config.port}/${endpoint}`;
+
+  // Ensure settings are sourced correctly, defaulting to the set config if needed
+  const settings = config?.settings ?? getConfig()?.settings ?? {};
+  const resolved = {
+    ...config,
+    model: config.model ?? getConfig().model, // Prefer config.model, fallback to the set config
+    settings,
+  };
+  const stream = settings.stream === true;
+  if (stream && typeof provider.token !== "function")
+    throw new Error(`Provider '${config.provider}' does not support streaming`);
+  const tools = options.tools?.length > 0 ? options.tools : undefined;
+  if (tools && typeof provider.tools !== "function")
+    throw new Error(`Provider '${config.provider}' does not support tool calling`);
+  if (tools && stream) throw new Error("Tool calling does not support streaming");
+  const logprobs = options.logprobs;
+  if (logprobs !== undefined && typeof provider.logprobs !== "function")
+    throw new Error(`Provider '${config.provider}' does not support logprobs`);
+
+  // Without support for structured output, the schema is described in a system message instead
+  const messages = [
+    ...(options.schema && !provider.schema
+      ? [format(`Reply only with JSON matching the following JSON schema: ${JSON.stringify(options.schema)}`, "system")]
+      : []),
+    ...context,
+    ...(content === undefined ? [] : [format(content, "user")]),
+  ];
+  if (!provider.images && messages.some((m) => Array.isArray(m.content) && m.content.some((p) => p.type === "image")))
+    throw new Error(`Provider '${config.provider}' does not support images`);
+  let body = provider.body(messages, resolved);
+  if (options.schema && provider.schema) body = provider.schema(body, options.schema);
+  if (tools) body = provider.tools(body, tools);
+  if (logprobs !== undefined) body = provider.logprobs(body, logprobs);
+  const headers = requestHeaders(resolved, provider);
+  const agent = httpsAgent(config);
+  let emitted = false;
+
+  // Collects usage reported by the server (streamed replies report it across multiple events)
+  const collectUsage = (usage, data) => {
+    if (!provider.usage) return usage;
+    for (const [key, value] of Object.entries(provider.usage(data) ?? {}))
+      if (value !== undefined && value !== null) usage[key] = value;
+    return usage;
+  };
+
+  const attempt = async (record) => {
+    const response = await axios.post(url, body, {
+      headers,
+      timeout: config.timeout ?? 0,
+      ...(agent ? { httpsAgent: agent } : {}),
+      ...(stream ? { responseType: "stream" } : {}),
+    });
+
+    if (!stream) {
+      let output;
+      let toolCalls;
+      let tokens;
+      try {
+        output = provider.parse(response.data);
+        if (tools) toolCalls = provider.toolCalls(response.data);
+        if (logprobs !== undefined) tokens = provider.tokenLogprobs(response.data);
+      } catch (e) {
+        throw new MalformedResponseError(`Malformed reply from ${url}: ${e.message}`, {
+          status: response.status,
+          endpoint: url,
+          body: response.data,
+        });
+      }
+      const usage = collectUsage({}, response.data);
+      record(usage.completionTokens ?? countTokens(output));
+      return {
+        output,
+        usage,
+        ...(toolCalls?.length > 0 ? { toolCalls } : {}),
+        ...(tokens?.length > 0 ? { logprobs: tokens } : {}),
+      };
+    }
+
+    // Accumulate the streamed tokens, the full content is only returned once the stream completes
+    let output = "";
+    const usage = {};
+    try {
+      for await (const event of readEvents(response.data, provider.streamFormat)) {
+        collectUsage(usage, event);
+        const token = provider.token(event);
+        if (!token) continue;
+        output += token;
+        emitted = true;
+        if (options.onToken) options.onToken(token);
+      }
+    } catch (e) {
+      if (e instanceof SyntaxError)
+        throw new MalformedResponseError(`Malformed stream from ${url}: ${e.message}`, {
+          status: response.status,
+          endpoint: url,
+        });
+      if (emitted) throw e;
+      throw new ConnectionError(`Stream interrupted (${e.code ?? e.message}) for ${url}`, { endpoint: url });
+    }
+    record(usage.completionTokens ?? countTokens(output));
+    return { output, usage };
+  };
+
+  // Every attempt is scheduled according to the rate limits, streams are only retried if no tokens have been passed on yet
+  const promptTokens = countMessageTokens(messages);
+  const request = budgeted(
+    () => withRetry(() => schedule(attempt, promptTokens), config.retry, url, () => !emitted),
+    promptTokens,
+    (reply) => (reply.usage.promptTokens ?? promptTokens) + (reply.usage.completionTokens ?? countTokens(reply.output)),
+    { endpoint: url, input: content },
+    options
+  );
+  // content served without requesting (cache, cassette) is passed on as a single token
+  const serve = (reply, source) => {
+    if (stream && options.onToken) options.onToken(reply.output);
+    return { ...reply, source };
+  };
+  const description = {
+    provider: config.provider,
+    model: resolved.model,
+    messages,
+    settings,
+    schema: options.schema,
+    tools,
+    logprobs,
+  };
+
+  const reply = await fromSources(description, request, url, options, serve);
+
+  const end = new Date();
+  const usage = reply.usage ?? {};
+  return {
+    output: reply.output,
+    metadata: {
+      provider: config.provider ?? "openai",
+      model: usage.model ?? resolved.model,
+      settings,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      finishReason: usage.finishReason,
+      latency: end - start,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      source: reply.source,
+    },
+    ...(reply.toolCalls ? { toolCalls: reply.toolCalls } : {}),
+    ...(reply.logprobs ? { logprobs: reply.logprobs } : {}),
+  };
 };
 
 /**
- * Fetch response from LLM as described by the default-config.yml, or as overriden by using setConfigFromFile / setConfigFromObject
+ * Fetch response from LLM as described by the effective config (see config.js)
  * @param {string} content - input to be used as user message 
  * @param {[string]} context - input used as system messages (must have role described, e.g., system)
  * @param {undefined | object} config - used instead of set config if passed, validated against config form
- * @returns 
+ * @param {undefined | object} options - { onToken(token) } called for every token received when settings.stream is enabled,
+ * { callerId } recorded with cached entries
+ * @returns string
  */
-export const fetch = async (content, context, config = llm_config) => {
-  if (config !== llm_config) validateObject(config);
-
-  const url = `${config.path}:${config.port}/${config.endpoint}`;
-
-  // Ensure settings are sourced correctly, defaulting to llm_config if needed
-  const settings = config?.settings ?? llm_config?.settings ?? {};
-
-  try {
-    const response = await axios.post(
-      url,
-      {
-        model: config.model ?? llm_config.model, // Prefer config.model, fallback to llm_config.model
-        messages: [...context, format(content, "user")],
-        // Safely access settings using the resolved 'settings' object
-        temperature: settings.temperature,
-        max_tokens: settings.max_tokens,
-        stream: settings.stream,
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-        },
-      }
-    );
+export const fetch = async (content, context, config = undefined, options = {}) =>
+  (await fetchWithMetadata(content, context, config, options)).output;
 
-    return response.data.choices[0].message.content;
-  } catch (e) {
-    if (e.code === "ECONNREFUSED") {
-      throw new Error("Connection refused, is LM Studio running?");
+/**
+ * Fetch embeddings of texts from the embeddings api of the provider (e.g., v1/embeddings), as described by the effective config
+ * @param {string[]} texts
+ * @param {undefined | object} config - used instead of set config if passed, validated against config form
+ * @param {undefined | object} options - { endpoint } overrides the embeddings endpoint of the provider, { callerId } recorded
+ * with cached entries, { cache: false } bypasses the cache, { budget } Budget the request is charged to (skipped once exhausted)
+ * @returns {{ output: number[][], metadata: Object }} a vector per text, metadata holds provider, model, promptTokens, dimensions,
+ * latency (ms), start and end (ISO timestamps) and source ('network', 'cache' or 'cassette')
+ */
+export const fetchEmbeddings = async (texts, config = undefined, options = {}) => {
+  if (config === undefined) config = getConfig();
+  else validateConfig(config);
+
+  const start = new Date();
+  const provider = getProvider(config.provider);
+  if (!provider.embeddings) throw new Error(`Provider '${config.provider}' does not support embeddings`);
+  const { embeddings } = provider;
+  const url = `${config.path}:${config.port}/${options.endpoint ?? embeddings.endpoint}`;
+  const headers = requestHeaders(config, provider);
+  const agent = httpsAgent(config);
+
+  const attempt = async (record) => {
+    const response = await axios.post(url, embeddings.body(texts, config), {
+      headers,
+      timeout: config.timeout ?? 0,
+      ...(agent ? { httpsAgent: agent } : {}),
+    });
+    let output;
+    try {
+      output = embeddings.parse(response.data);
+    } catch (e) {
+      throw new MalformedResponseError(`Malformed reply from ${url}: ${e.message}`, {
+        status: response.status,
+        endpoint: url,
+        body: response.data,
+      });
     }
-    console.log(e);
-    throw new Error(e);
-  }
-};
\ No newline at end of file
+    if (!Array.isArray(output) || output.length !== texts.length)
+      throw new MalformedResponseError(`Expected ${texts.length} embeddings from ${url}`, {
+        status: response.status,
+        endpoint: url,
+        body: response.data,
+      });
+    // embeddings do not generate tokens
+    record(0);
+    return { output, usage: embeddings.usage ? embeddings.usage(response.data) : {} };
+  };
+
+  const tokens = texts.reduce((sum, t) => sum + countTokens(t), 0);
+  const request = budgeted(
+    () => withRetry(() => schedule(attempt, tokens), config.retry, url),
+    tokens,
+    (reply) => reply.usage.promptTokens ?? tokens,
+    { endpoint: url, input: texts },
+    options
+  );
+  const description = { provider: config.provider, model: config.model, input: texts, settings: {} };
+  const reply = await fromSources(description, request, url, options);
+
+  const end = new Date();
+  const usage = reply.usage ?? {};
+  return {
+    output: reply.output,
+    metadata: {
+      provider: config.provider ?? "openai",
+      model: usage.model ?? config.model,
+      promptTokens: usage.promptTokens,
+      dimensions: reply.output[0]?.length,
+      latency: end - start,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      source: reply.source,
+    },
+  };
+};
@@ -1 +1,33 @@
-export { fetch, setConfigFromObject, setConfigFromFile } from "./fetch.js";
+export { fetch, fetchWithMetadata, fetchEmbeddings } from "./fetch.js";
+export {
+  setConfigFromObject,
+  setConfigFromFile,
+  resolveConfig,
+  reloadConfig,
+  useProfile,
+  getProfile,
+  getConfig,
+  getConfigSources,
+} from "./config.js";
+export { registerProvider, getProvider } from "./providers.js";
+export {
+  enableCache,
+  disableCache,
+  getCache,
+  getCacheStats,
+  invalidateCache,
+} from "./cache.js";
+export { setRateLimits, getQueueMetrics, resetQueueMetrics } from "./scheduler.js";
+export { useCassette, ejectCassette, getCassette } from "./cassette.js";
+export {
+  LLMError,
+  ConnectionError,
+  RateLimitError,
+  ServerError,
+  MalformedResponseError,
+  CacheMissError,
+  CassetteMismatchError,
+  BudgetExceededError,
+} from "./errors.js";
+export { Budget } from "./budget.js";
+export { setTokenizer, countTokens, countMessageTokens } from "./tokenizer.js";
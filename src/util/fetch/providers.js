@@ -0,0 +1,248 @@
+/**
+ * Provider adapters, each describing how to build a request body (and headers) for a given server
+ * type from a list of messages and the config, and how to extract the generated content from the reply.
+ * An adapter has the form { endpoint?: string, headers?: (config) => Object, body: (messages, config) => Object, parse: (data) => string },
+ * where endpoint is the chat endpoint used if the config names none. Settings other than those the adapter maps (e.g., top_p,
+ * seed or stop) are passed on to the server in its format.
+ * Adapters supporting streaming also provide token: (event) => string | undefined, extracting the content of a single
+ * streamed event, and optionally streamFormat ('sse' (default) or 'ndjson'). Adapters may provide
+ * usage: (data) => { model, promptTokens, completionTokens, finishReason } extracting metadata from a reply (or streamed event).
+ * Adapters supporting structured output provide schema: (body, schema) => Object, constraining the body to a JSON schema.
+ * Adapters may provide auth: (key) => Object, building the headers carrying the api key (defaults to a bearer token).
+ * Adapters supporting tool calling provide tools: (body, tools) => Object, adding the tool definitions ({ name, description, parameters })
+ * to the body, and toolCalls: (data) => [{ id, name, arguments }], extracting the requested tool calls from a reply. Their body
+ * function converts the messages of a tool exchange, { role: 'assistant', content, toolCalls } and { role: 'tool', toolCallId, name, content }.
+ * Adapters supporting token probabilities provide logprobs: (body, top) => Object, requesting the log probabilities of the output
+ * tokens (and of the 'top' most likely alternatives), and tokenLogprobs: (data) => [{ token, logprob, top: [{ token, logprob }] }].
+ * Adapters supporting embeddings provide embeddings: { endpoint, body: (texts, config) => Object, parse: (data) => number[][],
+ * usage?: (data) => { model, promptTokens } }, describing the embeddings api of the server.
+ * Adapters supporting images set images: true, their body function converting messages whose content is a list of parts,
+ * { type: 'text', text } and { type: 'image', image } (an ImageInput, providing mimeType, base64() and dataUrl()).
+ */
+
+// Converts content parts to OpenAI style content parts, with images as base64 data URLs
+const openaiContent = (content) =>
+  Array.isArray(content)
+    ? content.map((p) => (p.type === "image" ? { type: "image_url", image_url: { url: p.image.dataUrl() } } : p))
+    : content;
+
+// Converts the messages of a tool exchange to the OpenAI format
+const openaiMessage = (m) => {
+  if (m.toolCalls)
+    return {
+      role: "assistant",
+      content: m.content,
+      tool_calls: m.toolCalls.map((c) => ({
+        id: c.id,
+        type: "function",
+        function: { name: c.name, arguments: JSON.stringify(c.arguments) },
+      })),
+    };
+  if (m.role === "tool") return { role: "tool", tool_call_id: m.toolCallId, content: m.content };
+  return { ...m, content: openaiContent(m.content) };
+};
+
+// Converts the messages of a tool exchange to the Ollama format
+const ollamaMessage = (m) => {
+  if (m.toolCalls)
+    return {
+      role: "assistant",
+      content: m.content,
+      tool_calls: m.toolCalls.map((c) => ({ function: { name: c.name, arguments: c.arguments } })),
+    };
+  if (m.role === "tool") return { role: "tool", tool_name: m.name, content: m.content };
+  // images are sent alongside the text of the message
+  if (Array.isArray(m.content))
+    return {
+      ...m,
+      content: m.content.filter((p) => p.type === "text").map((p) => p.text).join("\n"),
+      images: m.content.filter((p) => p.type === "image").map((p) => p.image.base64()),
+    };
+  return m;
+};
+
+// Converts a content part to an Anthropic content block
+const anthropicPart = (p) =>
+  p.type === "image"
+    ? { type: "image", source: { type: "base64", media_type: p.image.mimeType, data: p.image.base64() } }
+    : p;
+
+const functionTools = (tools) =>
+  tools.map(({ name, description, parameters }) => ({ type: "function", function: { name, description, parameters } }));
+
+const providers = {
+  // OpenAI compatible servers (e.g., LM Studio), using v1/chat/completions
+  openai: {
+    endpoint: "v1/chat/completions",
+    body: (messages, { model, settings }) => ({
+      model,
+      messages: messages.map(openaiMessage),
+      // streamed replies only report usage (in a final event) when requested
+      ...(settings.stream ? { stream_options: { include_usage: true } } : {}),
+      ...settings,
+    }),
+    parse: (data) => data.choices[0].message.content,
+    token: (event) => event.choices?.[0]?.delta?.content,
+    images: true,
+    tools: (body, tools) => ({ ...body, tools: functionTools(tools) }),
+    toolCalls: (data) =>
+      (data.choices[0].message.tool_calls ?? []).map((c) => ({
+        id: c.id,
+        name: c.function.name,
+        arguments: c.function.arguments ? JSON.parse(c.function.arguments) : {},
+      })),
+    logprobs: (body, top) => ({ ...body, logprobs: true, top_logprobs: top }),
+    embeddings: {
+      endpoint: "v1/embeddings",
+      body: (texts, { model }) => ({ model, input: texts }),
+      parse: (data) => data.data.map((d) => d.embedding),
+      usage: (data) => ({ model: data.model, promptTokens: data.usage?.prompt_tokens }),
+    },
+    tokenLogprobs: (data) =>
+      data.choices[0].logprobs?.content?.map((t) => ({
+        token: t.token,
+        logprob: t.logprob,
+        top: (t.top_logprobs ?? []).map((a) => ({ token: a.token, logprob: a.logprob })),
+      })),
+    schema: (body, schema) => ({
+      ...body,
+      response_format: { type: "json_schema", json_schema: { name: "output", schema } },
+    }),
+    usage: (data) => ({
+      model: data.model,
+      promptTokens: data.usage?.prompt_tokens,
+      completionTokens: data.usage?.completion_tokens,
+      finishReason: data.choices?.[0]?.finish_reason,
+    }),
+  },
+
+  // Ollama native chat api, using api/chat
+  ollama: {
+    endpoint: "api/chat",
+    // other settings (e.g., temperature, top_p, seed, stop) share their names with the options of ollama
+    body: (messages, { model, settings: { stream, max_tokens, ...options } }) => ({
+      model,
+      messages: messages.map(ollamaMessage),
+      stream,
+      options: { ...options, num_predict: max_tokens },
+    }),
+    parse: (data) => data.message.content,
+    token: (event) => event.message?.content,
+    images: true,
+    tools: (body, tools) => ({ ...body, tools: functionTools(tools) }),
+    embeddings: {
+      endpoint: "api/embed",
+      body: (texts, { model }) => ({ model, input: texts }),
+      parse: (data) => data.embeddings,
+      usage: (data) => ({ model: data.model, promptTokens: data.prompt_eval_count }),
+    },
+    // ollama does not identify tool calls, so they are identified by their position
+    toolCalls: (data) =>
+      (data.message.tool_calls ?? []).map((c, i) => ({
+        id: `call_${i}`,
+        name: c.function.name,
+        arguments: c.function.arguments ?? {},
+      })),
+    streamFormat: "ndjson",
+    schema: (body, schema) => ({ ...body, format: schema }),
+    usage: (data) => ({
+      model: data.model,
+      promptTokens: data.prompt_eval_count,
+      completionTokens: data.eval_count,
+      finishReason: data.done_reason,
+    }),
+  },
+
+  // llama.cpp server native completion api, using completion (messages are flattened into a single prompt)
+  llamacpp: {
+    endpoint: "completion",
+    // other settings (e.g., temperature, top_p, seed, stop) share their names with the parameters of llama.cpp
+    body: (messages, { settings: { stream, max_tokens, ...rest } }) => ({
+      prompt:
+        messages.map((m) => `${m.role}: ${m.content}`).join("\n") +
+        "\nassistant:",
+      ...rest,
+      n_predict: max_tokens,
+      stream,
+    }),
+    parse: (data) => data.content,
+    token: (event) => event.content,
+    schema: (body, schema) => ({ ...body, json_schema: schema }),
+    usage: (data) => ({
+      model: data.model,
+      promptTokens: data.tokens_evaluated,
+      completionTokens: data.tokens_predicted,
+      finishReason: data.stop_type,
+    }),
+  },
+
+  // Anthropic style messages api, using v1/messages (system messages are moved to the system field)
+  anthropic: {
+    endpoint: "v1/messages",
+    headers: () => ({ "anthropic-version": "2023-06-01" }),
+    auth: (key) => ({ "x-api-key": key }),
+    // the messages api only supports the sampling settings below, others (e.g., seed) are not sent
+    body: (messages, { model, settings: { temperature, max_tokens, stream, top_p, top_k, stop } }) => ({
+      model,
+      system: messages
+        .filter((m) => m.role === "system")
+        .map((m) => m.content)
+        .join("\n"),
+      messages: messages
+        .filter((m) => m.role !== "system")
+        .map((m) => (Array.isArray(m.content) ? { ...m, content: m.content.map(anthropicPart) } : m)),
+      temperature,
+      top_p,
+      top_k,
+      stop_sequences: stop === undefined ? undefined : [stop].flat(),
+      // max_tokens is required by the messages api, so -1 (unlimited) is mapped to a large value
+      max_tokens: max_tokens > 0 ? max_tokens : 4096,
+      stream,
+    }),
+    images: true,
+    parse: (data) =>
+      data.content
+        .filter((b) => b.type === "text")
+        .map((b) => b.text)
+        .join(""),
+    token: (event) =>
+      event.type === "content_block_delta" ? event.delta?.text : undefined,
+    // streamed replies report the model and input tokens in message_start, and output tokens in message_delta
+    usage: (data) => ({
+      model: data.model ?? data.message?.model,
+      promptTokens: data.usage?.input_tokens ?? data.message?.usage?.input_tokens,
+      completionTokens: data.usage?.output_tokens,
+      finishReason: data.stop_reason ?? data.delta?.stop_reason,
+    }),
+  },
+};
+
+/**
+ * Registers a provider adapter, which can then be selected using the 'provider' field of the config
+ * @param {string} name
+ * @param {Object} adapter - must have a body(messages, config) and parse(data) function, and optionally headers(config)
+ */
+export const registerProvider = (name, adapter) => {
+  if (typeof name !== "string") throw new Error("Provider name must be a string");
+  if (typeof adapter?.body !== "function" || typeof adapter?.parse !== "function")
+    throw new Error(`Provider '${name}' must have a body and a parse function`);
+  providers[name] = adapter;
+};
+
+/**
+ * Get the chat endpoint of the provider registered under the given name, if any
+ * @param {string} name - defaults to 'openai'
+ * @returns string | undefined
+ */
+export const defaultEndpoint = (name = "openai") => providers[name]?.endpoint;
+
+/**
+ * Get the provider adapter registered under the given name
+ * @param {string} name - defaults to 'openai'
+ * @returns Object
+ */
+export const getProvider = (name = "openai") => {
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown provider '${name}'`);
+  return provider;
+};
@@ -0,0 +1,45 @@
+import { LLMError, toLLMError } from "./errors.js";
+
+export const DEFAULT_RETRY = Object.freeze({
+  retries: 2,
+  delay: 500,
+  max_delay: 10000,
+  factor: 2,
+  jitter: true,
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Computes the delay before the next attempt using exponential backoff, optionally with jitter (between half and the full delay)
+ * @param {Object} retry - retry config
+ * @param {number} attempts - attempts made so far
+ * @returns number (ms)
+ */
+export const backoff = ({ delay, max_delay, factor, jitter }, attempts) => {
+  const base = Math.min(max_delay, delay * factor ** (attempts - 1));
+  return jitter ? base / 2 + (Math.random() * base) / 2 : base;
+};
+
+/**
+ * Executes the request, retrying (with backoff) on retryable errors. Errors are converted to typed LLMErrors.
+ * @param {Function} request - async function performing a single attempt
+ * @param {Object} retry - { retries, delay, max_delay, factor, jitter }
+ * @param {string} endpoint - used to describe errors
+ * @param {Function} canRetry - additional check whether the request may be attempted again
+ * @returns result of the request
+ */
+export const withRetry = async (request, retry, endpoint, canRetry = () => true) => {
+  retry = { ...DEFAULT_RETRY, ...retry };
+  for (let attempts = 1; ; attempts++) {
+    try {
+      return await request();
+    } catch (e) {
+      // errors not originating from the request (e.g., thrown by callbacks) are passed on as is
+      if (!e.isAxiosError && !(e instanceof LLMError)) throw e;
+      const error = toLLMError(e, { endpoint, attempts });
+      if (!error.isRetryable() || attempts > retry.retries || !canRetry()) throw error;
+      await sleep(error.retryAfter ?? backoff(retry, attempts));
+    }
+  }
+};
@@ -0,0 +1,118 @@
+const WINDOW = 60 * 1000;
+
+let limits = {
+  maxConcurrent: Infinity,
+  requestsPerMinute: Infinity,
+  tokensPerMinute: Infinity,
+};
+
+const queue = []; // [{ tokens, resolve }]
+let window = []; // [{ time, tokens }] of requests started within the last minute
+let active = 0;
+let completed = 0;
+let failed = 0;
+let timer = null;
+
+const prune = (now) => {
+  window = window.filter((entry) => now - entry.time < WINDOW);
+};
+
+const windowTokens = () => window.reduce((sum, entry) => sum + entry.tokens, 0);
+
+const fits = (tokens) =>
+  active < limits.maxConcurrent &&
+  window.length < limits.requestsPerMinute &&
+  // a request larger than the limit is let through once the window is empty, to avoid stalling
+  (window.length === 0 || windowTokens() + tokens <= limits.tokensPerMinute);
+
+/**
+ * Starts queued requests while the limits allow, otherwise waits for the oldest request to leave the window
+ */
+const pump = () => {
+  const now = Date.now();
+  prune(now);
+  while (queue.length > 0 && fits(queue[0].tokens)) {
+    const { tokens, resolve } = queue.shift();
+    active++;
+    const entry = { time: now, tokens };
+    window.push(entry);
+    resolve(entry);
+  }
+  if (queue.length === 0 && timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+  if (queue.length > 0 && active < limits.maxConcurrent && !timer && window.length > 0) {
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, window[0].time + WINDOW - now);
+  }
+};
+
+/**
+ * Sets the limits applied to all requests made through fetch (unset limits are unlimited)
+ * @param {Object} options
+ * @param {number} options.maxConcurrent - maximum number of requests in flight
+ * @param {number} options.requestsPerMinute - maximum number of requests started per minute
+ * @param {number} options.tokensPerMinute - maximum number of (estimated) tokens per minute
+ */
+export const setRateLimits = ({
+  maxConcurrent = Infinity,
+  requestsPerMinute = Infinity,
+  tokensPerMinute = Infinity,
+} = {}) => {
+  limits = { maxConcurrent, requestsPerMinute, tokensPerMinute };
+  pump();
+};
+
+/**
+ * Get metrics of the request queue
+ * @returns {{ active: number, queued: number, completed: number, failed: number, requestsLastMinute: number, tokensLastMinute: number, limits: Object }}
+ */
+export const getQueueMetrics = () => {
+  prune(Date.now());
+  return {
+    active,
+    queued: queue.length,
+    completed,
+    failed,
+    requestsLastMinute: window.length,
+    tokensLastMinute: windowTokens(),
+    limits: { ...limits },
+  };
+};
+
+/**
+ * Resets the counters of the queue metrics and forgets requests made within the last minute
+ */
+export const resetQueueMetrics = () => {
+  window = [];
+  completed = 0;
+  failed = 0;
+  pump();
+};
+
+/**
+ * Schedules a request according to the limits
+ * @param {Function} task - async function performing the request, receives usage(tokens) to add tokens used (e.g., of the reply)
+ * @param {number} tokens - estimated tokens of the request
+ * @returns result of the task
+ */
+export const schedule = async (task, tokens = 0) => {
+  const entry = await new Promise((resolve) => {
+    queue.push({ tokens, resolve });
+    pump();
+  });
+  try {
+    const result = await task((used) => (entry.tokens += used));
+    completed++;
+    return result;
+  } catch (e) {
+    failed++;
+    throw e;
+  } finally {
+    active--;
+    pump();
+  }
+};
@@ -0,0 +1,40 @@
+const DONE = Symbol("stream.done");
+
+/**
+ * Parses a single line of a streamed reply
+ * @param {string} line
+ * @param {string} format - 'sse' or 'ndjson'
+ * @returns Object | undefined | DONE
+ */
+const parseLine = (line, format) => {
+  line = line.trim();
+  if (!line) return undefined;
+  if (format === "ndjson") return JSON.parse(line);
+  // Server-sent events, only data lines carry content (event, id and comments are ignored)
+  if (!line.startsWith("data:")) return undefined;
+  const data = line.slice(5).trim();
+  if (data === "[DONE]") return DONE;
+  return JSON.parse(data);
+};
+
+/**
+ * Reads a streamed reply, yielding every event as a parsed object.
+ * @param {AsyncIterable<Buffer>} stream
+ * @param {string} format - either server-sent events ('sse') or newline delimited JSON ('ndjson')
+ */
+export async function* readEvents(stream, format = "sse") {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of stream) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      const event = parseLine(line, format);
+      if (event === DONE) return;
+      if (event !== undefined) yield event;
+    }
+  }
+  const event = parseLine(buffer + decoder.decode(), format);
+  if (event !== undefined && event !== DONE) yield event;
+}
@@ -0,0 +1,63 @@
+// Splits text into the pieces a BPE tokenizer merges within (as the pre-tokenization of GPT tokenizers):
+// contractions, words with their leading space, numbers of up to three digits, runs of punctuation and whitespace
+const PIECES = /'(?:s|t|re|ve|m|ll|d)| ?\p{L}+| ?\p{N}{1,3}| ?[^\s\p{L}\p{N}]+|\s+/gu;
+
+// Tokens added by chat formatting for every message (role and separators)
+const MESSAGE_TOKENS = 4;
+
+/**
+ * Approximates the number of tokens a BPE tokenizer (e.g., cl100k) splits a piece into: common words are single tokens,
+ * longer words are split into chunks of about six letters, punctuation into pairs and other scripts mostly per character
+ * @param {string} piece
+ * @returns number
+ */
+const pieceTokens = (piece) => {
+  const text = piece.trimStart();
+  if (text.length === 0 || /^\p{N}+$/u.test(text)) return 1;
+  if (/^\p{L}+$/u.test(text)) {
+    const ascii = text.replace(/[^\x00-\x7F]/g, "").length;
+    return Math.max(1, Math.ceil(ascii / 6) + (text.length - ascii));
+  }
+  return Math.ceil(text.length / 2);
+};
+
+/**
+ * Bundled approximation of a BPE tokenizer, an estimate rather than the exact count of any model (see setTokenizer)
+ * @param {string} text
+ * @returns number
+ */
+export const approximateTokens = (text) => {
+  let sum = 0;
+  for (const [piece] of String(text).matchAll(PIECES)) sum += pieceTokens(piece);
+  return sum;
+};
+
+let tokenizer = approximateTokens;
+
+/**
+ * Sets the tokenizer used to count tokens (e.g., for rate limits, budgets and LLMCaller.tokens()), such as the exact tokenizer
+ * of the model in use. Calling it without a tokenizer restores the bundled approximation.
+ * @param {Function | undefined} fn - (text) => number of tokens
+ */
+export const setTokenizer = (fn = approximateTokens) => {
+  if (typeof fn !== "function") throw new Error("Tokenizer must be a function (text) => number of tokens");
+  tokenizer = fn;
+};
+
+/**
+ * Counts the tokens of a text using the tokenizer set (see setTokenizer)
+ * @param {string | number | null | undefined} text
+ * @returns number
+ */
+export const countTokens = (text) => (text === undefined || text === null ? 0 : tokenizer(String(text)));
+
+/**
+ * Counts the tokens of chat messages, including the tokens added by chat formatting
+ * @param {{ role: string, content: any }[]} messages
+ * @returns number
+ */
+export const countMessageTokens = (messages) =>
+  messages.reduce((sum, m) => {
+    const content = m.content !== null && typeof m.content === "object" ? JSON.stringify(m.content) : m.content;
+    return sum + MESSAGE_TOKENS + countTokens(content);
+  }, 0);
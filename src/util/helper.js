@@ -38,6 +38,13 @@ const requiredSchema = {
       },
     ],
     default_value: { type: String, required: true },
+    examples: [
+      {
+        input: { type: String, required: true },
+        label: { type: String, required: true },
+        rationale: { type: String, required: false },
+      },
+    ],
     required: true,
   },
   required: true,
@@ -49,6 +56,14 @@ let promptTemplate = (descriptions, values, default_value) => [
   `If nothing is applicable only return the value '${default_value}'`,
 ];
 
+let exampleTemplate = (example) => [
+  ...(example.rationale
+    ? [{ role: "system", content: `The following example is labeled '${example.label}' because ${example.rationale}` }]
+    : []),
+  { role: "user", content: example.input },
+  { role: "assistant", content: example.label },
+];
+
 /**
  * Update the default prompt template used.
  * @param {Function} fun - must take descriptions(strings), values (label, description), default_value
@@ -57,6 +72,32 @@ export function setPromptTemplate(fun) {
   promptTemplate = fun;
 }
 
+/**
+ * Update the template used to turn few-shot examples into messages.
+ * @param {Function} fun - must take an example (input, label, rationale) and return role-tagged messages ({ role, content })
+ */
+export function setExampleTemplate(fun) {
+  exampleTemplate = fun;
+}
+
+/**
+ * loads a categorization (codebook) from a YML file, adhering to the format described in parseCategorizationPromptFromYML
+ * @param {string} file
+ * @returns {{ description: string[], values: {label: string, description: string}[], default_value: string, examples?: {input: string, label: string, rationale?: string}[] }}
+ */
+export function loadCategorizationFromYML(file) {
+  if (typeof file !== "string") throw new Error("Not a file name");
+  const data = fs.readFileSync(file, "utf8");
+  const input = YAML.parse(data);
+  validateObject(input, requiredSchema);
+  const labels = [...input.prompt.values.map((v) => v.label), input.prompt.default_value];
+  for (const example of input.prompt.examples ?? []) {
+    if (!labels.includes(example.label))
+      throw new Error(`Example label '${example.label}' in ${file} is not a declared label`);
+  }
+  return input.prompt;
+}
+
 /**
  * parses a given prompt from a YML file, must adhere to following format:
  * prompt:
@@ -66,16 +107,19 @@ export function setPromptTemplate(fun) {
  *  - label: some label
  *    description: Description of that label
  *  default_value: unknown
+ *  examples: (optional, few-shot examples turned into user/assistant messages)
+ *  - input: Some input
+ *    label: some label
+ *    rationale: Why the label applies (optional)
  * @param {string} file
- * @returns
+ * @returns {(string | { role: string, content: string })[]} system prompts, followed by the messages of the examples
  */
 export function parseCategorizationPromptFromYML(file) {
-  if (typeof file !== "string") throw new Error("Not a file name");
-  const data = fs.readFileSync(file, "utf8");
-  let input = YAML.parse(data);
-  validateObject(input, requiredSchema);
-  input = input.prompt;
-  return promptTemplate(input.description, input.values, input.default_value);
+  const input = loadCategorizationFromYML(file);
+  return [
+    ...promptTemplate(input.description, input.values, input.default_value),
+    ...(input.examples ?? []).flatMap((example) => exampleTemplate(example)),
+  ];
 }
 
 /**
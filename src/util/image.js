@@ -0,0 +1,102 @@
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+
+const EXTENSIONS = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".bmp": "image/bmp",
+};
+
+/**
+ * Determines the type of an image from its first bytes
+ * @param {Buffer} bytes
+ * @returns {string | undefined} mime type
+ */
+const sniff = (bytes) => {
+  if (bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return "image/jpeg";
+  if (bytes.subarray(0, 4).toString("latin1") === "GIF8") return "image/gif";
+  if (bytes.subarray(0, 4).toString("latin1") === "RIFF" && bytes.subarray(8, 12).toString("latin1") === "WEBP")
+    return "image/webp";
+  if (bytes.subarray(0, 2).toString("latin1") === "BM") return "image/bmp";
+  return undefined;
+};
+
+/**
+ * An image used as (part of) the input of an LLMCaller, read from a local file or a buffer.
+ * Only a stable reference ({ type: 'image', path, hash, mimeType }) is kept when serialized (e.g., in the lineage of a Response,
+ * the cache or a cassette), the bytes are only sent to the model.
+ */
+export class ImageInput {
+  #bytes;
+
+  /**
+   * @param {string | Buffer | Uint8Array} source - path of a local image file, or its bytes
+   * @param {Object} options - { mimeType } if it cannot be determined from the bytes or the file extension
+   */
+  constructor(source, { mimeType } = {}) {
+    if (typeof source === "string") {
+      this.path = source;
+      this.#bytes = fs.readFileSync(source);
+    } else if (source instanceof Uint8Array) {
+      this.#bytes = Buffer.from(source);
+    } else throw new Error("Image must be the path of a file or a buffer");
+    this.hash = createHash("sha256").update(this.#bytes).digest("hex");
+    this.mimeType = mimeType ?? sniff(this.#bytes) ?? EXTENSIONS[path.extname(this.path ?? "").toLowerCase()];
+    if (!this.mimeType) throw new Error(`Unknown image type of '${this.path ?? "buffer"}', provide a mimeType`);
+  }
+
+  /**
+   * Get the bytes of the image encoded as base64
+   * @returns string
+   */
+  base64() {
+    return this.#bytes.toString("base64");
+  }
+
+  /**
+   * Get the image as a data URL, e.g., data:image/png;base64,...
+   * @returns string
+   */
+  dataUrl() {
+    return `data:${this.mimeType};base64,${this.base64()}`;
+  }
+
+  /**
+   * Restores an image from its serialized reference ({ type: 'image', path, hash, mimeType }), reading it from its path again.
+   * Fails if the image was read from a buffer, or if the file no longer exists or changed since.
+   * @param {Object} obj
+   * @returns ImageInput
+   */
+  static parse(obj) {
+    if (obj instanceof ImageInput) return obj;
+    if (typeof obj?.path !== "string")
+      throw new Error(`Image ${obj?.hash?.slice(0, 12) ?? ""} was read from a buffer and cannot be restored`);
+    if (!fs.existsSync(obj.path)) throw new Error(`Image '${obj.path}' cannot be restored, the file no longer exists`);
+    const restored = new ImageInput(obj.path, { mimeType: obj.mimeType });
+    if (obj.hash !== undefined && restored.hash !== obj.hash)
+      throw new Error(`Image '${obj.path}' cannot be restored, the file changed since it was used`);
+    return restored;
+  }
+
+  toJSON() {
+    return { type: "image", path: this.path, hash: this.hash, mimeType: this.mimeType };
+  }
+
+  toString() {
+    return `[image ${this.path ?? this.hash.slice(0, 12)}]`;
+  }
+}
+
+/**
+ * Shortcut to reference an image as input of an LLMCaller, e.g., caller.run(image("scan.png")) or
+ * caller.run(["Code this form", image(buffer)])
+ * @param {string | Buffer | Uint8Array} source - path of a local image file, or its bytes
+ * @param {Object} options - { mimeType } if it cannot be determined from the bytes or the file extension
+ * @returns ImageInput
+ */
+export const image = (source, options = undefined) => new ImageInput(source, options);
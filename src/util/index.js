@@ -1,10 +1,13 @@
 export * from "./fetch/index.js";
 export { _, createUtilityAnalysisCaller } from "./standard-library.js";
+export { image, ImageInput } from "./image.js";
 export {
   loadFromFile,
   validateObject,
   setPromptTemplate,
+  setExampleTemplate,
   parseCategorizationPromptFromYML,
+  loadCategorizationFromYML,
   writeResponses,
   readResponses,
 } from "./helper.js";
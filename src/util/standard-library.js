@@ -1,7 +1,9 @@
+import hash from "hash-it";
 import { ProgrammaticCaller } from "../callers/caller-programmatic.js";
 import { $ } from "../callers/caller-utils.js";
 import { Response } from "../response/response.js";
 import { LLMCaller } from "../callers/caller-llm.js";
+import { existingCallers } from "../callers/base.js";
 
 const PREFIX = "aitomic";
 
@@ -18,7 +20,7 @@ export const _ = {
       async (v) => v
     );
 
-    return { run: f };
+    return { run: f, callers: all };
   },
   stringToJSON: $((i) => JSON.parse(i), `${PREFIX}.stringToJSON`),
   JSONToString: $((i) => JSON.stringify(i), `${PREFIX}.JSONToString`),
@@ -28,6 +30,231 @@ export const _ = {
   extract: (f) => $((i) => i[f], `extract.${f}`), 
 };
 
+/**
+ * Get the id of a caller, to derive the ids of callers built from it. Composed callers (see _.compose) have no id of their own,
+ * and are identified by the callers they compose.
+ * @param {Caller} caller
+ * @returns string
+ */
+const callerId = (caller) =>
+  caller.id ?? (Array.isArray(caller.callers) ? `compose(${caller.callers.map(callerId).join(",")})` : String(hash(caller)));
+
+/**
+ * Creates a caller wrapping other callers, or returns the caller already registered under the id (e.g., when building the same
+ * construct again in another pipeline). Its input is passed on unchecked, as the wrapped callers check it (e.g., LLMCallers
+ * accept objects and images).
+ * @param {Function} fun - (output, content) => result
+ * @param {string} id
+ * @returns {ProgrammaticCaller}
+ */
+const wrapping = (fun, id) => existingCallers[id] ?? new ProgrammaticCaller(fun, id, { anyInput: true });
+
+/**
+ * Creates a self-consistency sampling caller, running the caller n times on the same input (bypassing the cache) and outputting the majority answer.
+ * The metadata of the Response holds the vote distribution (votes), and the stability (share of samples agreeing with the majority, 0-1).
+ * Sampling the same caller n times again (e.g., in another pipeline) returns the existing sampling caller.
+ * @param {Caller} caller - caller to sample, typically an LLMCaller with a temperature above 0
+ * @param {number} n - number of samples
+ * @returns {ProgrammaticCaller}
+ */
+_.sample = (caller, n) => {
+  if (!Number.isInteger(n) || n < 1) throw new Error("Number of samples must be a positive integer");
+  const id = `${PREFIX}.sample.${callerId(caller)}.${n}`;
+  if (existingCallers[id]) return existingCallers[id];
+  const sampler = wrapping(async (_i, content) => {
+    const samples = await Promise.all(
+      Array.from({ length: n }, () => caller.run(content, { cache: false }))
+    );
+    const votes = {};
+    const answers = {};
+    for (const { output } of samples) {
+      const key = typeof output === "string" ? output : JSON.stringify(output);
+      votes[key] = (votes[key] ?? 0) + 1;
+      answers[key] ??= output;
+    }
+    // ties are resolved by the answer sampled first
+    const majority = Object.keys(votes).reduce((a, b) => (votes[b] > votes[a] ? b : a));
+    const response = new Response(answers[majority], sampler, content);
+    response.metadata = { samples: n, votes, stability: votes[majority] / n };
+    return response;
+  }, id);
+  // allows analysis utilities (e.g., _.confidence) to refer to the prompt of the sampled caller
+  sampler.context = caller.context;
+  return sampler;
+};
+
+/**
+ * Creates a fan-out caller, running the callers concurrently on the same input. Outputs the list of their outputs (in the order
+ * of the callers), while the Response has the Response of every caller as parent (see Response.getParents), e.g., to be merged using _.join.
+ * Running the same callers in parallel again returns the existing fan-out caller.
+ * @param {...Caller} callers
+ * @returns {ProgrammaticCaller}
+ */
+_.parallel = (...callers) => {
+  if (callers.length === 0) throw new Error("Parallel requires at least one caller");
+  const id = `${PREFIX}.parallel.${callers.map(callerId).join("+")}`;
+  const fanout = wrapping(async (_i, content) => {
+    const branches = await Promise.all(callers.map((caller) => caller.run(content)));
+    return new Response(branches.map((branch) => branch.output), fanout, branches);
+  }, id);
+  return fanout;
+};
+
+/**
+ * Creates a caller merging the outputs of a fan-out (see _.parallel) into a single output
+ * @param {Function} fn - (outputs, responses) => merged output, receiving the outputs and Responses of the callers run in parallel
+ * @param {string | undefined} id - if no id is provided, a hash value will be used (of the function)
+ * @returns {ProgrammaticCaller}
+ */
+_.join = (fn, id = `${PREFIX}.join.${hash(fn)}`) =>
+  $((outputs, response) => {
+    if (!(response instanceof Response) || response.getParents().length !== outputs?.length)
+      throw new Error("Join requires the response of a fan-out (see _.parallel)");
+    return fn(outputs, response.getParents());
+  }, id);
+
+/**
+ * Applies fn to every item, running at most 'concurrency' at once, keeping the order of the items
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>}
+ */
+const mapConcurrently = async (items, concurrency, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Creates a caller running the caller on every element of a list output. Every element is recorded as a Response
+ * (with metadata { index }) linked to the Response holding the list, on which the caller is run. The collected Response
+ * has the Responses of all elements as parents, and outputs the list of their outputs (flattened if flat). Mapping the same caller
+ * again returns the existing caller.
+ * @param {string} name
+ * @param {Caller} caller
+ * @param {Object} options - { concurrency } maximum number of elements run at once (default: all)
+ * @param {boolean} flat
+ * @returns {ProgrammaticCaller}
+ */
+const mapping = (name, caller, { concurrency = Infinity } = {}, flat = false) => {
+  if (typeof caller?.run !== "function") throw new Error(`${name} requires a caller`);
+  if (!(concurrency >= 1)) throw new Error("Concurrency must be at least 1");
+  const id = `${PREFIX}.${name}.${callerId(caller)}${concurrency === Infinity ? "" : `.${concurrency}`}`;
+  const element = existingCallers[`${id}.element`] ?? $((i) => i, `${id}.element`);
+  const mapper = wrapping(async (input, content) => {
+    if (!Array.isArray(input)) throw new Error(`${name} requires a list as input (e.g., the output of an extraction)`);
+    const results = await mapConcurrently(input, concurrency, (value, index) => {
+      const response = new Response(value, element, content);
+      response.metadata = { index };
+      return caller.run(response);
+    });
+    const outputs = results.map((result) => result.output);
+    // without elements, the collected Response follows the list itself
+    return new Response(
+      flat ? outputs.flatMap((output) => (Array.isArray(output) ? output : [output])) : outputs,
+      mapper,
+      results.length > 0 ? results : content
+    );
+  }, id);
+  return mapper;
+};
+
+/**
+ * Creates a caller running the caller on every element of a list output (e.g., extracted claims), outputting the list of results.
+ * Every result keeps its own lineage, through a Response of the element (with metadata { index }) linked to the Response holding the list.
+ * @param {Caller} caller
+ * @param {Object} options - { concurrency } maximum number of elements run at once (default: all)
+ * @returns {ProgrammaticCaller}
+ */
+_.map = (caller, options = undefined) => mapping("map", caller, options);
+
+/**
+ * Creates a caller running the caller on every element of a list output, like _.map, where list results are flattened
+ * (e.g., extracting the quotes of every claim into a single list of quotes)
+ * @param {Caller} caller
+ * @param {Object} options - { concurrency } maximum number of elements run at once (default: all)
+ * @returns {ProgrammaticCaller}
+ */
+_.flatMap = (caller, options = undefined) => mapping("flatMap", caller, options, true);
+
+/**
+ * Creates a caller running one of several callers, as chosen for the input. The choice is recorded in the lineage as a Response
+ * passing on the output (with metadata { branch, caller }), on which the chosen caller is run. Returns the caller already
+ * registered under the id, if any.
+ * @param {string} id
+ * @param {Function} choose - async (output, response) => { branch, caller, ...details }, where no caller passes on the output
+ * @returns {ProgrammaticCaller}
+ */
+const branching = (id, choose) => {
+  const brancher = wrapping(async (input, content) => {
+    const { caller, ...choice } = await choose(input, content);
+    const taken = new Response(input, brancher, content);
+    taken.metadata = { ...choice, caller: caller?.id };
+    return caller ? caller.run(taken) : taken;
+  }, id);
+  return brancher;
+};
+
+/**
+ * Creates a caller running thenCaller on inputs matching the predicate, and elseCaller on others (passing on the output if none)
+ * @param {Function} predicate - async (output, response) => boolean
+ * @param {Caller} thenCaller
+ * @param {Caller | undefined} elseCaller
+ * @param {string | undefined} id - if no id is provided, one is derived from the predicate (a hash value) and the callers
+ * @returns {ProgrammaticCaller}
+ */
+_.branch = (predicate, thenCaller, elseCaller = undefined, id = undefined) => {
+  if (typeof predicate !== "function") throw new Error("Branch requires a predicate function");
+  id ??= `${PREFIX}.branch.${hash(predicate)}.${callerId(thenCaller)}.${elseCaller ? callerId(elseCaller) : "none"}`;
+  return branching(id, async (input, content) =>
+    (await predicate(input, content))
+      ? { branch: "then", caller: thenCaller }
+      : { branch: "else", caller: elseCaller }
+  );
+};
+
+/**
+ * Creates a caller running the caller of the case selected for the input, e.g., by the label of a categorization
+ * @param {Function} selector - async (output, response) => case, e.g., (label) => label
+ * @param {Object} cases - { [case]: Caller, default: Caller }, the default case is run for cases not listed (failing if absent)
+ * @param {string | undefined} id - if no id is provided, one is derived from the selector (a hash value) and the cases
+ * @returns {ProgrammaticCaller}
+ */
+_.switch = (selector, cases, id = undefined) => {
+  if (typeof selector !== "function") throw new Error("Switch requires a selector function");
+  const { default: fallback, ...listed } = cases ?? {};
+  id ??= `${PREFIX}.switch.${hash(selector)}.${Object.entries(cases ?? {})
+    .map(([key, caller]) => `${key}:${callerId(caller)}`)
+    .join("+")}`;
+  return branching(id, async (input, content) => {
+    const selected = await selector(input, content);
+    if (Object.hasOwn(listed, selected)) return { branch: String(selected), caller: listed[selected] };
+    if (!fallback) throw new Error(`No case for '${selected}' and no default case`);
+    return { branch: "default", selected, caller: fallback };
+  });
+};
+
+/**
+ * Structures a sampled response (see _.sample) as an analysis output, i.e., { output, stability, votes }, such that it can be combined with other analysis utilities (e.g., _.confidence).
+ */
+_.stability = $((_i, response) => {
+  if (!(response instanceof Response) || response.metadata?.stability === undefined)
+    throw new Error("Stability requires a sampled response (see _.sample)");
+  return {
+    output: response.output,
+    stability: response.metadata.stability,
+    votes: response.metadata.votes,
+  };
+}, `${PREFIX}.stability`);
+
 /**
  * Creates a utility analysis by allowing a prompt to be used to analyze the last response (i.e., given an input/output and prompt) and add this to an object.
  * @param {Object} config Configuration for the rating utility
@@ -63,7 +290,9 @@ export const createUtilityAnalysisCaller = ({ name, variable, prompt }) => {
         );
       }
 
-      return `Previous task: You responded with '${i}' given the input '${response.input}' by using the prompt '${response.caller.context}'`;
+      // role-tagged messages (e.g., few-shot examples) are described with their role
+      const used = response.caller.context?.map((c) => (typeof c === "string" ? c : `${c.role}: ${c.content}`));
+      return `Previous task: You responded with '${i}' given the input '${response.input}' by using the prompt '${used}'`;
     }, `${name}.1.generate-input`),
     $(prompt, `${name}.2.llm-check`),
     $((i, response) => {
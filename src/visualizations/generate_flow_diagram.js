@@ -112,18 +112,21 @@ export async function generateFlowDiagram(responses, config = {}) {
   // --- Build Graph Structure ---
   // First, process the initialInputIndex response to get example outputs
   if (showExampleData && responses.length > 0) {
+    const exampleVisited = new Set();
     const processExampleOutputs = (response, flowIndex) => {
       if (!response || typeof response === 'string' || !(response instanceof Response)) return;
       if (!response.caller) return;
+      // responses shared by several paths (e.g., the list of _.map) are processed once
+      if (exampleVisited.has(response)) return;
+      exampleVisited.add(response);
       
       const { id: callerNodeId } = getNodeIdAndLabel(response.caller);
       if (response.output !== undefined && response.output !== null) {
         exampleOutputs[flowIndex].set(callerNodeId, response.output);
       }
       
-      if (response.input instanceof Response) {
-        processExampleOutputs(response.input, flowIndex);
-      }
+      // responses may have several parents (e.g., of _.parallel)
+      response.getParents().forEach(parent => processExampleOutputs(parent, flowIndex));
     };
     
     responses.forEach((responseArray, i) => {
@@ -134,12 +137,16 @@ export async function generateFlowDiagram(responses, config = {}) {
   }
 
   // Recursive function to process a response chain
+  const visited = responses.map(() => new Set());
   const processResponseChain = (response, flowIndex) => {
     if (!response || typeof response === 'string' || !(response instanceof Response)) return;
     if (!response.caller) {
       console.warn(`Response object missing caller in flow ${flowIndex}:`, response);
       return;
     }
+    // responses shared by several paths (e.g., the list of _.map) are processed once per flow
+    if (visited[flowIndex].has(response)) return;
+    visited[flowIndex].add(response);
     const { id: callerNodeId, label: callerLabel } = getNodeIdAndLabel(response.caller);
     if (!nodeDefinitions.has(callerNodeId)) {
       nodeDefinitions.set(callerNodeId, `    ${callerNodeId}("${callerLabel}"); style ${callerNodeId} fill:#fff`);
@@ -152,39 +159,44 @@ export async function generateFlowDiagram(responses, config = {}) {
     }
 
     const input = response.input;
-    if (input instanceof Response) {
-      if (input.caller) {
-        const { id: prevCallerNodeId } = getNodeIdAndLabel(input.caller);
-        let edgeLabel = '';
-        // Label is the output of the *current* step from exampleOutputs
-        if (showExampleData) {
-             const exampleOutput = exampleOutputs[flowIndex].get(callerNodeId);
-             if (exampleOutput !== undefined && exampleOutput !== null) {
-                edgeLabel = formatArrowLabel(exampleOutput);
-             }
-        }
-        // Check if the connection already exists (without considering the label)
-        const connectionExists = Array.from(edges[flowIndex]).some(edge => 
-          edge.includes(`${prevCallerNodeId} --> ${callerNodeId}`) || 
-          edge.includes(`${prevCallerNodeId} --`)
-        );
+    // responses may have several parents (e.g., of _.parallel), each connected to this caller
+    const parents = response.getParents();
+    if (parents.length > 0) {
+      parents.forEach(input => {
+        if (input.caller) {
+          const { id: prevCallerNodeId } = getNodeIdAndLabel(input.caller);
+          let edgeLabel = '';
+          // Label is the output of the *current* step from exampleOutputs
+          if (showExampleData) {
+               const exampleOutput = exampleOutputs[flowIndex].get(callerNodeId);
+               if (exampleOutput !== undefined && exampleOutput !== null) {
+                  edgeLabel = formatArrowLabel(exampleOutput);
+               }
+          }
+          // Otherwise, the branch taken (see _.branch and _.switch) labels the connection to the caller it ran
+          if (!edgeLabel && input.metadata?.branch !== undefined) {
+            edgeLabel = String(input.metadata.branch).replace(/"/g, '#quot;');
+          }
+          // Check if the connection already exists (without considering the label), callers may feed several others
+          const connectionExists = Array.from(edges[flowIndex]).some(edge =>
+            edge.startsWith(`    ${prevCallerNodeId} --`) && edge.endsWith(`--> ${callerNodeId};`)
+          );
         
-        if (!connectionExists) {
-          const edge = `    ${prevCallerNodeId} --${edgeLabel}--> ${callerNodeId};`;
-          edges[flowIndex].add(edge);
+          if (!connectionExists) {
+            const edge = `    ${prevCallerNodeId} --${edgeLabel}--> ${callerNodeId};`;
+            edges[flowIndex].add(edge);
+          }
+          processResponseChain(input, flowIndex);
+        } else {
+          console.warn(`Input Response object missing caller in flow ${flowIndex}:`, input);
+          firstCallers[flowIndex].add(callerNodeId);
+           // Cannot determine initial input if input response is broken
         }
-        processResponseChain(input, flowIndex);
-      } else {
-        console.warn(`Input Response object missing caller in flow ${flowIndex}:`, input);
-        firstCallers[flowIndex].add(callerNodeId);
-         // Cannot determine initial input if input response is broken
-      }
-    } else if (typeof input === 'string') {
-      // Start of chain
+      });
+    } else {
+      // Start of chain, any input other than a Response (e.g., text, an image or an object)
       firstCallers[flowIndex].add(callerNodeId);
       initialInputs.set(callerNodeId, input); // Store initial data
-    } else {
-      console.warn(`Unexpected input type in flow ${flowIndex}:`, input);
     }
   };
 
@@ -211,13 +223,10 @@ export async function generateFlowDiagram(responses, config = {}) {
   // Add edge from DATA to Fork with initial input label if available
   let dataToForkLabel = '';
   if (showExampleData && responses[0].length > 0) {
-    // Find the root input value by traversing the response chain
-    let currentResponse = responses[0][initialInputIndex];
-    while (currentResponse && currentResponse.input instanceof Response) {
-      currentResponse = currentResponse.input;
-    }
-    if (currentResponse && typeof currentResponse.input === 'string') {
-      dataToForkLabel = formatArrowLabel(currentResponse.input);
+    // Find the root input value by traversing the response chain (or DAG)
+    const rootInput = responses[0][initialInputIndex]?.rootInput();
+    if (typeof rootInput === 'string') {
+      dataToForkLabel = formatArrowLabel(rootInput);
     }
   }
   edgesSpecial.add(`    ${dataNodeId} --${dataToForkLabel}--> ${forkNodeId};`);
@@ -0,0 +1,142 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { $, categorize } from "../src/callers/index.js";
+import { parseCategorizationPromptFromYML } from "../src/util/helper.js";
+import { normalizeLabel } from "../src/callers/caller-categorization.js";
+import { startStubServer, reply } from "../fetch/stub-server.js";
+
+const codebook = `
+prompt:
+  description:
+    - Categorize the sentiment of the review
+  values:
+    - label: POSITIVE
+      description: satisfied customers
+    - label: NEGATIVE
+      description: dissatisfied customers
+  default_value: unknown
+`;
+
+const examples = `
+  examples:
+    - input: Arrived quickly and works great
+      label: POSITIVE
+    - input: It is a phone
+      label: unknown
+      rationale: it does not express any sentiment
+`;
+
+describe("CategorizationCaller", () => {
+  let server;
+  let replies;
+  let dir;
+  let file;
+
+  beforeAll(async () => {
+    server = await startStubServer((_, res) =>
+      reply(res, { choices: [{ message: { content: replies.shift() } }] })
+    );
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "aitomics-codebook-"));
+    file = path.join(dir, "codebook.yml");
+    fs.writeFileSync(file, codebook);
+  });
+
+  afterAll(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it("should normalize case, quotes and trailing punctuation", () => {
+    expect(normalizeLabel(' "Positive". ')).toBe("Positive");
+    expect(normalizeLabel("`NEGATIVE`!")).toBe("NEGATIVE");
+    expect(normalizeLabel("**neutral**")).toBe("neutral");
+  });
+
+  it("should map the answer to a declared label and record raw and normalized answers", async () => {
+    replies = ["'positive'."];
+    const caller = categorize(file, "categorize-valid", { port: server.port });
+    const response = await caller.run("Great product");
+
+    expect(response.output).toBe("POSITIVE");
+    expect(response.metadata).toMatchObject({
+      raw: "'positive'.",
+      normalized: "positive",
+      reasks: 0,
+      fallback: false,
+    });
+    expect(server.requests[0].body.messages[0].content).toBe("Categorize the sentiment of the review");
+  });
+
+  it("should re-ask on off-codebook answers", async () => {
+    replies = ["Mostly happy", "Negative"];
+    const caller = categorize(file, "categorize-reask", { port: server.port });
+    const response = await caller.run("It broke, but support was nice");
+
+    expect(response.output).toBe("NEGATIVE");
+    expect(response.metadata).toMatchObject({ raw: "Negative", reasks: 1, fallback: false });
+    expect(server.requests[1].body.messages.at(-1).content).toContain("'POSITIVE', 'NEGATIVE'");
+    expect(server.requests[1].body.settings).toBeUndefined();
+    expect(server.requests[1].body.reasks).toBeUndefined();
+  });
+
+  it("should fall back to the default value, or fail if disabled", async () => {
+    replies = ["Mostly happy", "Still happy"];
+    const caller = categorize(file, "categorize-fallback", { port: server.port });
+    const response = await caller.run("Fine");
+    expect(response.output).toBe("unknown");
+    expect(response.metadata).toMatchObject({ raw: "Still happy", reasks: 1, fallback: true });
+
+    replies = ["Mostly happy"];
+    const strict = categorize(file, "categorize-strict", { port: server.port, reasks: 0, fallback: false });
+    await expect(strict.run("Fine")).rejects.toThrow("is not a declared label");
+  });
+
+  it("should turn few-shot examples into user and assistant messages", async () => {
+    const withExamples = path.join(dir, "codebook-examples.yml");
+    fs.writeFileSync(withExamples, codebook + examples);
+    expect(parseCategorizationPromptFromYML(withExamples).slice(-5)).toEqual([
+      { role: "user", content: "Arrived quickly and works great" },
+      { role: "assistant", content: "POSITIVE" },
+      { role: "system", content: "The following example is labeled 'unknown' because it does not express any sentiment" },
+      { role: "user", content: "It is a phone" },
+      { role: "assistant", content: "unknown" },
+    ]);
+
+    replies = ["NEGATIVE"];
+    const caller = categorize(withExamples, "categorize-examples", { port: server.port });
+    const response = await caller.run("Broke after a day");
+    expect(response.output).toBe("NEGATIVE");
+    const messages = server.requests[0].body.messages;
+    expect(messages[0]).toEqual({ role: "system", content: "Categorize the sentiment of the review" });
+    expect(messages.at(-2)).toEqual({ role: "assistant", content: "unknown" });
+    expect(messages.at(-1)).toEqual({ role: "user", content: "Broke after a day" });
+  });
+
+  it("should reject examples with undeclared labels", () => {
+    const invalid = path.join(dir, "codebook-invalid.yml");
+    fs.writeFileSync(invalid, codebook + "  examples:\n    - input: Meh\n      label: NEUTRAL\n");
+    expect(() => parseCategorizationPromptFromYML(invalid)).toThrow("Example label 'NEUTRAL'");
+  });
+
+  it("should accept role-tagged messages as context of LLM callers", async () => {
+    replies = ["B"];
+    const caller = $(
+      ["Answer with a letter", { role: "user", content: "first?" }, { role: "assistant", content: "A" }],
+      "llm-role-messages",
+      { port: server.port }
+    );
+    await caller.run("second?");
+    expect(server.requests[0].body.messages).toEqual([
+      { role: "system", content: "Answer with a letter" },
+      { role: "user", content: "first?" },
+      { role: "assistant", content: "A" },
+      { role: "user", content: "second?" },
+    ]);
+    expect(() => $([{ content: "no role" }], "llm-invalid-message")).toThrow("Illegal context message");
+  });
+});
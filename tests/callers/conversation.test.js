@@ -0,0 +1,89 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { conversation, ConversationCaller } from "../src/callers/index.js";
+import { writeResponses, readResponses } from "../src/util/helper.js";
+import { startStubServer, reply } from "../fetch/stub-server.js";
+
+describe("ConversationCaller", () => {
+  let server;
+
+  beforeAll(async () => {
+    // replies with the number of messages received, followed by the last message
+    server = await startStubServer((request, res) => {
+      const messages = request.body.messages;
+      reply(res, { choices: [{ message: { content: `${messages.length}: ${messages.at(-1).content}` } }] });
+    });
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it("should keep the history across runs and link every turn to the previous one", async () => {
+    const chat = conversation("Code the review", "conversation-history", { port: server.port });
+    expect(chat).toBeInstanceOf(ConversationCaller);
+
+    const first = await chat.run("Battery died");
+    const second = await chat.run("Explain why you chose that code");
+
+    expect(first.output).toBe("2: Battery died");
+    expect(server.requests[1].body.messages).toEqual([
+      { role: "system", content: "Code the review" },
+      { role: "user", content: "Battery died" },
+      { role: "assistant", content: "2: Battery died" },
+      { role: "user", content: "Explain why you chose that code" },
+    ]);
+    expect(first.previous).toBeUndefined();
+    expect(second.getPrevious()).toBe(first);
+    expect(second.metadata).toMatchObject({
+      turn: 2,
+      messages: [
+        { role: "user", content: "Explain why you chose that code" },
+        { role: "assistant", content: "4: Explain why you chose that code" },
+      ],
+    });
+  });
+
+  it("should execute concurrent runs as consecutive turns", async () => {
+    const chat = conversation("Be brief", "conversation-concurrent", { port: server.port });
+    const [a, b] = await Promise.all([chat.run("one"), chat.run("two")]);
+    expect(a.output).toBe("2: one");
+    expect(b.output).toBe("4: two");
+    expect(b.previous).toBe(a);
+  });
+
+  it("should fork conversations without affecting the original", async () => {
+    const chat = conversation("Be brief", "conversation-fork", { port: server.port });
+    const first = await chat.run("one");
+    await chat.run("two");
+
+    const fork = chat.fork(undefined, first);
+    expect(fork.id).toBe("conversation-fork.fork.1");
+    const branched = await fork.run("alternative two");
+    expect(branched.output).toBe("4: alternative two");
+    expect(branched.previous).toBe(first);
+    expect(chat.history).toHaveLength(4);
+    expect(fork.history).toHaveLength(4);
+    expect((await chat.run("three")).output).toBe("6: three");
+  });
+
+  it("should restore the history from serialized responses", async () => {
+    const chat = conversation("Be brief", "conversation-serialized", { port: server.port });
+    await chat.run("one");
+    const last = await chat.run("two");
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "aitomics-conversation-"));
+    const file = path.join(dir, "responses.json");
+    writeResponses(file, last);
+    const [parsed] = readResponses(file);
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    expect(parsed.previous.output).toBe("2: one");
+    const resumed = chat.fork("conversation-resumed", parsed);
+    expect(resumed.history).toEqual(chat.history);
+    expect((await resumed.run("three")).output).toBe("6: three");
+  });
+});
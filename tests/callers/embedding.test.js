@@ -0,0 +1,56 @@
+import { embed, EmbeddingCaller } from "../src/callers/index.js";
+import { SemanticSimilarityComparisonModel } from "../src/comparators/models/index.js";
+import { Response } from "../src/response/index.js";
+import { startStubServer, reply } from "../fetch/stub-server.js";
+
+const vectors = { "great phone": [1, 0, 0], "excellent phone": [0.9, 0.1, 0], "broke after a day": [0, 0, 1] };
+
+describe("EmbeddingCaller", () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startStubServer((request, res) =>
+      reply(res, {
+        model: request.body.model,
+        data: request.body.input.map((text, index) => ({ index, embedding: vectors[text] })),
+        usage: { prompt_tokens: request.body.input.length * 2 },
+      })
+    );
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it("should output the embedding of the input", async () => {
+    const caller = embed("embedding-single", { port: server.port, model: "nomic-embed", api_key: "secret" });
+    expect(caller).toBeInstanceOf(EmbeddingCaller);
+    const response = await caller.run("great phone");
+
+    expect(server.requests[0].url).toBe("/v1/embeddings");
+    expect(server.requests[0].body).toEqual({ model: "nomic-embed", input: ["great phone"] });
+    expect(response.output).toEqual([1, 0, 0]);
+    expect(response.metadata).toMatchObject({ model: "nomic-embed", promptTokens: 2, dimensions: 3 });
+    expect(response.config.api_key).toBe("[redacted]");
+  });
+
+  it("should embed lists of outputs in one request and compare them semantically", async () => {
+    const caller = embed("embedding-list", { port: server.port });
+    const first = await caller.run(new Response(["great phone", "broke after a day"], caller, "input"));
+    const second = await caller.run(new Response(["excellent phone", "broke after a day"], caller, "input"));
+
+    expect(server.requests).toHaveLength(2);
+    expect(first.output).toEqual([vectors["great phone"], vectors["broke after a day"]]);
+    expect(first.input.output).toEqual(["great phone", "broke after a day"]);
+    expect(first.compare(second).run(new SemanticSimilarityComparisonModel(0.9))).toBe(1);
+  });
+
+  it("should use a custom endpoint and reject other input", async () => {
+    const caller = embed("embedding-endpoint", { port: server.port, endpoint: "embed" });
+    await caller.run("great phone");
+    expect(server.requests[0].url).toBe("/embed");
+    await expect(caller.run({ text: "great phone" })).rejects.toThrow("Illegal input type");
+  });
+});
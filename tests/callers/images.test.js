@@ -0,0 +1,126 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { $, conversation } from "../src/callers/index.js";
+import { Response } from "../src/response/index.js";
+import { image } from "../src/util/image.js";
+import { getProvider } from "../src/util/fetch/providers.js";
+import { startStubServer, reply } from "../fetch/stub-server.js";
+
+const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from("pixels")]);
+const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00]);
+
+describe("Image inputs", () => {
+  let server;
+  let dir;
+  let file;
+
+  beforeAll(async () => {
+    server = await startStubServer((request, res) => reply(res, { choices: [{ message: { content: "SATISFIED" } }] }));
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "aitomics-images-"));
+    file = path.join(dir, "form.png");
+    fs.writeFileSync(file, png);
+  });
+
+  afterAll(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it("should send images as content parts with base64 data URLs", async () => {
+    const caller = $("Code the satisfaction of the scanned form", "images-single", { port: server.port });
+    const response = await caller.run(image(file));
+    expect(server.requests[0].body.messages.at(-1)).toEqual({
+      role: "user",
+      content: [{ type: "image_url", image_url: { url: `data:image/png;base64,${png.toString("base64")}` } }],
+    });
+    expect(response.output).toBe("SATISFIED");
+  });
+
+  it("should send lists of texts and images, e.g., from buffers", async () => {
+    const caller = $("Code the screenshot", "images-parts", { port: server.port });
+    await caller.run(["Screenshot of the checkout", image(jpeg)]);
+    expect(server.requests[0].body.messages.at(-1).content).toEqual([
+      { type: "text", text: "Screenshot of the checkout" },
+      { type: "image_url", image_url: { url: `data:image/jpeg;base64,${jpeg.toString("base64")}` } },
+    ]);
+  });
+
+  it("should keep a stable reference instead of the bytes in the lineage", async () => {
+    const caller = $("Code the form", "images-lineage", { port: server.port });
+    const input = image(file);
+    const response = await caller.run(input);
+    const serialized = JSON.stringify(response);
+    expect(serialized).not.toContain(png.toString("base64"));
+    expect(JSON.parse(serialized).input).toEqual({
+      type: "image",
+      path: file,
+      hash: input.hash,
+      mimeType: "image/png",
+    });
+    expect(image(png).hash).toBe(input.hash);
+    expect(response.rootInput()).toBe(input);
+  });
+
+  it("should read the images of a serialized conversation again when resuming it", async () => {
+    const chat = conversation("Code the form", "images-conversation", { port: server.port });
+    const first = await chat.run(["Scanned form", image(file)]);
+    const parsed = Response.parse(JSON.parse(JSON.stringify(first)));
+
+    const resumed = chat.fork("images-conversation-resumed", parsed);
+    await resumed.run("And the handwriting?");
+    expect(server.requests[1].body.messages.at(-3).content).toEqual([
+      { type: "text", text: "Scanned form" },
+      { type: "image_url", image_url: { url: `data:image/png;base64,${png.toString("base64")}` } },
+    ]);
+
+    const changed = path.join(dir, "changed.png");
+    fs.writeFileSync(changed, png);
+    const turn = await chat.fork("images-conversation-changed").run(image(changed));
+    const serialized = Response.parse(JSON.parse(JSON.stringify(turn)));
+    fs.writeFileSync(changed, Buffer.concat([png, Buffer.from("edited")]));
+    expect(() => chat.fork("images-conversation-edited", serialized)).toThrow("the file changed since it was used");
+    fs.rmSync(changed);
+    expect(() => chat.fork("images-conversation-removed", serialized)).toThrow("the file no longer exists");
+
+    const buffered = Response.parse(JSON.parse(JSON.stringify(await chat.fork("images-conversation-buffer").run(image(png)))));
+    expect(() => chat.fork("images-conversation-buffered", buffered)).toThrow("was read from a buffer and cannot be restored");
+  });
+
+  it("should fill placeholders of templated prompts on image inputs, only into text content", async () => {
+    const dataUrl = `data:image/png;base64,${png.toString("base64")}`;
+    const caller = $(
+      [
+        "Code the {{category}} form",
+        { role: "user", content: [{ type: "text", text: "Example {{category}} form" }, { type: "image", image: image(file) }] },
+      ],
+      "images-templated",
+      { port: server.port }
+    );
+    const response = await caller.run({ input: image(file), category: "intake" });
+    expect(server.requests[0].body.messages).toEqual([
+      { role: "system", content: "Code the intake form" },
+      { role: "user", content: [{ type: "text", text: "Example intake form" }, { type: "image_url", image_url: { url: dataUrl } }] },
+      { role: "user", content: [{ type: "image_url", image_url: { url: dataUrl } }] },
+    ]);
+    expect(response.output).toBe("SATISFIED");
+    expect(caller.tokens(image(file), { category: "intake" })).toBeGreaterThan(0);
+  });
+
+  it("should convert images for other providers, and fail for providers without image support", async () => {
+    const body = getProvider("ollama").body(
+      [{ role: "user", content: [{ type: "text", text: "Code" }, { type: "image", image: image(file) }] }],
+      { model: "llava", settings: {} }
+    );
+    expect(body.messages[0]).toEqual({ role: "user", content: "Code", images: [png.toString("base64")] });
+
+    const caller = $("Code the form", "images-llamacpp", { port: server.port, provider: "llamacpp" });
+    await expect(caller.run(image(file))).rejects.toThrow("Provider 'llamacpp' does not support images");
+    expect(() => image(Buffer.from("not an image"))).toThrow("Unknown image type");
+    expect(image(Buffer.from("raw"), { mimeType: "image/tiff" }).mimeType).toBe("image/tiff");
+  });
+});
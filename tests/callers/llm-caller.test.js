@@ -0,0 +1,85 @@
+import { $ } from "../src/callers/index.js";
+import { Response } from "../src/response/index.js";
+import { resolveConfig } from "../src/util/fetch/fetch.js";
+import { writeResponses, readResponses } from "../src/util/helper.js";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startStubServer, reply } from "../fetch/stub-server.js";
+
+describe("LLMCaller configuration", () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startStubServer((request, res) =>
+      reply(res, {
+        model: `${request.body.model}-q4`,
+        choices: [{ message: { content: `from ${request.body.model}` }, finish_reason: "stop" }],
+        usage: { prompt_tokens: 12, completion_tokens: 3 },
+      })
+    );
+  });
+
+  afterAll(() => server.close());
+
+  it("should merge per-caller config with the global config", () => {
+    const config = resolveConfig({ model: "big", temperature: 0, settings: { top_p: 0.9 } });
+    expect(config.model).toBe("big");
+    expect(config.endpoint).toBe("v1/chat/completions");
+    expect(config.settings).toEqual({
+      temperature: 0,
+      max_tokens: -1,
+      stream: false,
+      top_p: 0.9,
+    });
+  });
+
+  it("should use the caller config for requests and record it on the response", async () => {
+    const small = $("Extract", "config-small", { port: server.port, model: "small", max_tokens: 10 });
+    const big = $("Code", "config-big", { port: server.port, model: "big" });
+
+    const a = await small.run("input");
+    const b = await big.run("input");
+
+    expect(a.output).toBe("from small");
+    expect(b.output).toBe("from big");
+    expect(server.requests[0].body.max_tokens).toBe(10);
+    expect(server.requests[1].body.max_tokens).toBe(-1);
+    expect(a.config.model).toBe("small");
+    expect(a.config.settings.max_tokens).toBe(10);
+
+    const parsed = Response.parse(JSON.parse(JSON.stringify(a)));
+    expect(parsed.config).toEqual(a.config);
+  });
+
+  it("should not collide ids for the same prompt with different configs", () => {
+    const a = $("Same prompt", undefined, { model: "a" });
+    const b = $("Same prompt", undefined, { model: "b" });
+    expect(a.id).not.toBe(b.id);
+  });
+
+  it("should record usage, latency and model metadata on the response", async () => {
+    const caller = $("Describe", "metadata-caller", { port: server.port, model: "small" });
+    const response = await caller.run("input");
+    const { metadata } = response;
+
+    expect(metadata).toMatchObject({
+      provider: "openai",
+      model: "small-q4",
+      promptTokens: 12,
+      completionTokens: 3,
+      finishReason: "stop",
+      source: "network",
+    });
+    expect(metadata.settings.temperature).toBe(0.7);
+    expect(metadata.latency).toBeGreaterThanOrEqual(0);
+    expect(new Date(metadata.end) - new Date(metadata.start)).toBe(metadata.latency);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "aitomics-responses-"));
+    const file = path.join(dir, "responses.json");
+    writeResponses(file, response);
+    const [loaded] = readResponses(file);
+    fs.rmSync(dir, { recursive: true, force: true });
+    expect(loaded.metadata).toEqual(metadata);
+  });
+});
@@ -0,0 +1,121 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { $, categorize } from "../src/callers/index.js";
+import { labelProbabilities } from "../src/callers/caller-categorization.js";
+import { startStubServer, reply } from "../fetch/stub-server.js";
+
+const codebook = `
+prompt:
+  description:
+    - Categorize the sentiment of the review
+  values:
+    - label: POSITIVE
+      description: satisfied customers
+    - label: NEGATIVE
+      description: dissatisfied customers
+    - label: NEUTRAL
+      description: neither
+  default_value: unknown
+`;
+
+const labels = ["POSITIVE", "NEGATIVE", "NEUTRAL", "unknown"];
+const token = (t, p, top = []) => ({
+  token: t,
+  logprob: Math.log(p),
+  top: top.map(([a, q]) => ({ token: a, logprob: Math.log(q) })),
+});
+
+describe("Logprob-based confidence", () => {
+  let server;
+  let logprobs;
+  let dir;
+  let file;
+
+  beforeAll(async () => {
+    server = await startStubServer((request, res) =>
+      reply(res, {
+        choices: [
+          {
+            message: { content: logprobs.map((t) => t.token).join("") },
+            logprobs: {
+              content: logprobs.map((t) => ({
+                token: t.token,
+                logprob: t.logprob,
+                top_logprobs: t.top.map((a) => ({ token: a.token, logprob: a.logprob })),
+              })),
+            },
+          },
+        ],
+      })
+    );
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "aitomics-logprobs-"));
+    file = path.join(dir, "codebook.yml");
+    fs.writeFileSync(file, codebook);
+  });
+
+  afterAll(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it("should assign the probability of alternative tokens to the labels they start", () => {
+    const probabilities = labelProbabilities(
+      [token("POS", 0.6, [["POS", 0.6], ["NEG", 0.3], ["The", 0.1]]), token("ITIVE", 1)],
+      labels
+    );
+    expect(probabilities.POSITIVE).toBeCloseTo(2 / 3);
+    expect(probabilities.NEGATIVE).toBeCloseTo(1 / 3);
+    expect(probabilities.unknown).toBe(0);
+  });
+
+  it("should tell apart labels sharing the first tokens", () => {
+    const probabilities = labelProbabilities(
+      [
+        token('"', 0.9, [['"', 0.9], ["POS", 0.1]]),
+        token("NE", 0.8, [["NE", 0.8], ["POS", 0.2]]),
+        token("G", 0.75, [["G", 0.75], ["UT", 0.25]]),
+        token("ATIVE", 1),
+      ],
+      labels
+    );
+    // POSITIVE: 0.1 + 0.9 * 0.2, NEGATIVE: 0.9 * 0.8 * 0.75, NEUTRAL: 0.9 * 0.8 * 0.25
+    expect(probabilities.POSITIVE).toBeCloseTo(0.28);
+    expect(probabilities.NEGATIVE).toBeCloseTo(0.54);
+    expect(probabilities.NEUTRAL).toBeCloseTo(0.18);
+    expect(labelProbabilities([token("Hmm", 1)], labels)).toBeUndefined();
+  });
+
+  it("should record the share of the chosen label as confidence without extra calls", async () => {
+    logprobs = [token("NEG", 0.7, [["NEG", 0.7], ["NEUT", 0.2], ["POS", 0.1]]), token("ATIVE", 1)];
+    const coder = categorize(file, "logprobs-categorize", { port: server.port, logprobs: true });
+    const response = await coder.run("Broke after a day");
+
+    expect(server.requests).toHaveLength(1);
+    expect(server.requests[0].body).toMatchObject({ logprobs: true, top_logprobs: 5 });
+    expect(response.output).toBe("NEGATIVE");
+    expect(response.metadata.confidence).toBeCloseTo(0.7);
+    expect(response.metadata.probabilities).toMatchObject({ NEUTRAL: expect.closeTo(0.2), POSITIVE: expect.closeTo(0.1) });
+  });
+
+  it("should record the probability of the output for other LLM callers", async () => {
+    logprobs = [token("Fine", 0.5), token(".", 0.5)];
+    const caller = $("Summarize", "logprobs-llm", { port: server.port, logprobs: 2 });
+    const response = await caller.run("It is fine");
+    expect(server.requests[0].body.top_logprobs).toBe(2);
+    expect(server.requests[0].body.logprobs).toBe(true);
+    expect(response.metadata.confidence).toBeCloseTo(0.5);
+  });
+
+  it("should not request logprobs unless enabled", async () => {
+    logprobs = [token("Fine", 0.5)];
+    const caller = $("Summarize", "logprobs-disabled", { port: server.port });
+    const response = await caller.run("It is fine");
+    expect(server.requests[0].body.logprobs).toBeUndefined();
+    expect(response.metadata.confidence).toBeUndefined();
+  });
+});
@@ -0,0 +1,87 @@
+import { route, RoutingCaller } from "../src/callers/index.js";
+import { startStubServer, reply } from "../fetch/stub-server.js";
+
+const retry = { retries: 0, delay: 1, max_delay: 1, factor: 1, jitter: false };
+
+describe("RoutingCaller", () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startStubServer((request, res) => {
+      const { model } = request.body;
+      if (model === "unloaded") return reply(res, { error: "model not found" }, 404);
+      if (model === "crashing") return reply(res, { error: "out of memory" }, 500);
+      if (model === "invalid") return reply(res, { error: "bad request" }, 400);
+      reply(res, { model, choices: [{ message: { content: `served by ${model}` } }] });
+    });
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it("should fall through to the next route on connection and server errors, recording the route", async () => {
+    const caller = route(
+      "Summarize",
+      [
+        { name: "offline", port: 1, model: "local" },
+        { name: "unloaded", model: "unloaded" },
+        { model: "crashing" },
+        { name: "backup", model: "backup" },
+      ],
+      "routing-fallthrough",
+      { port: server.port, retry, temperature: 0.2 }
+    );
+    expect(caller).toBeInstanceOf(RoutingCaller);
+
+    const response = await caller.run("A long review");
+    expect(response.output).toBe("served by backup");
+    expect(response.caller).toBe(caller);
+    expect(response.metadata.route).toEqual({
+      name: "backup",
+      index: 3,
+      failed: [
+        { name: "offline", error: expect.any(String) },
+        { name: "unloaded", error: expect.stringContaining("404") },
+        { name: "crashing", error: expect.stringContaining("500") },
+      ],
+    });
+    expect(server.requests.map((r) => r.body.model)).toEqual(["unloaded", "crashing", "backup"]);
+    expect(server.requests[2].body.temperature).toBe(0.2);
+  });
+
+  it("should route inputs by their rules", async () => {
+    const caller = route(
+      "Summarize",
+      [
+        { name: "long-context", model: "long", minLength: 20 },
+        { name: "questions", model: "qa", when: (input) => input.endsWith("?") },
+        { name: "default", model: "small", maxLength: 10 },
+      ],
+      "routing-rules",
+      { port: server.port, retry }
+    );
+    expect((await caller.run("This review is rather long")).metadata.route.name).toBe("long-context");
+    expect((await caller.run("Is it good?")).output).toBe("served by qa");
+    expect((await caller.run("Good")).metadata.route).toEqual({ name: "default", index: 2, failed: [] });
+    await expect(caller.run("Not so short")).rejects.toThrow("No route of 'routing-rules' matches the input");
+  });
+
+  it("should not fall through on other errors and report when all routes fail", async () => {
+    const invalid = route("Summarize", [{ model: "invalid" }, { model: "backup" }], "routing-invalid", {
+      port: server.port,
+      retry,
+    });
+    await expect(invalid.run("Review")).rejects.toThrow("400");
+    expect(server.requests).toHaveLength(1);
+
+    const failing = route("Summarize", [{ model: "unloaded" }, { model: "crashing" }], "routing-failing", {
+      port: server.port,
+      retry,
+    });
+    await expect(failing.run("Review")).rejects.toThrow("All routes of 'routing-failing' failed: unloaded");
+    expect(() => route("Summarize", [], "routing-empty")).toThrow("at least one route");
+  });
+});
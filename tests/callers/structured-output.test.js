@@ -0,0 +1,79 @@
+import { $ } from "../src/callers/index.js";
+import { startStubServer, reply } from "../fetch/stub-server.js";
+
+const schema = {
+  type: "object",
+  properties: {
+    sentiment: { enum: ["POSITIVE", "NEGATIVE", "NEUTRAL"] },
+    score: { type: "number" },
+  },
+  required: ["sentiment", "score"],
+};
+
+describe("Structured output", () => {
+  let server;
+  let replies;
+
+  beforeAll(async () => {
+    server = await startStubServer((request, res) =>
+      reply(res, { choices: [{ message: { content: replies.shift() } }] })
+    );
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it("should send the schema as response_format and parse the output", async () => {
+    replies = ['```json\n{ "sentiment": "POSITIVE", "score": 0.9 }\n```'];
+    const caller = $("Rate the review", "structured-valid", { port: server.port, schema });
+    const response = await caller.run("Great product");
+
+    expect(response.output).toEqual({ sentiment: "POSITIVE", score: 0.9 });
+    expect(response.metadata.repairs).toBe(0);
+    expect(server.requests[0].body.response_format).toEqual({
+      type: "json_schema",
+      json_schema: { name: "output", schema },
+    });
+    expect(server.requests[0].body.schema).toBeUndefined();
+  });
+
+  it("should re-prompt with validation errors until the output is valid", async () => {
+    replies = ["not json", '{ "sentiment": "GOOD", "score": 1 }', '{ "sentiment": "POSITIVE", "score": 1 }'];
+    const caller = $("Rate the review", "structured-repair", { port: server.port, schema, repairs: 3 });
+    const response = await caller.run("Great product");
+
+    expect(response.output).toEqual({ sentiment: "POSITIVE", score: 1 });
+    expect(response.metadata.repairs).toBe(2);
+    const repair = server.requests[2].body.messages;
+    expect(repair.at(-2)).toEqual({ role: "assistant", content: '{ "sentiment": "GOOD", "score": 1 }' });
+    expect(repair.at(-1).content).toContain("must be equal to one of the allowed values");
+  });
+
+  it("should fail once the repair attempts are exhausted", async () => {
+    replies = ["{}", "{}"];
+    const caller = $("Rate the review", "structured-fail", { port: server.port, schema, repairs: 1 });
+    await expect(caller.run("Great product")).rejects.toThrow(
+      "does not match the schema after 1 repair attempts"
+    );
+  });
+
+  it("should describe the schema in a system message for providers without support", async () => {
+    const anthropic = await startStubServer((_, res) =>
+      reply(res, { content: [{ type: "text", text: '{ "sentiment": "NEUTRAL", "score": 0 }' }] })
+    );
+    const caller = $("Rate the review", "structured-anthropic", {
+      port: anthropic.port,
+      provider: "anthropic",
+      endpoint: "v1/messages",
+      schema,
+    });
+    const response = await caller.run("Fine");
+    await anthropic.close();
+
+    expect(response.output).toEqual({ sentiment: "NEUTRAL", score: 0 });
+    expect(anthropic.requests[0].body.system).toContain(JSON.stringify(schema));
+  });
+});
@@ -0,0 +1,79 @@
+import { $ } from "../src/callers/index.js";
+import { Response } from "../src/response/index.js";
+import { startStubServer, reply } from "../fetch/stub-server.js";
+
+describe("LLMCaller prompt templating", () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startStubServer((request, res) =>
+      reply(res, { choices: [{ message: { content: `re: ${request.body.messages.at(-1).content}` } }] })
+    );
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it("should fill placeholders from the fields of object inputs", async () => {
+    const caller = $(
+      ["You review {{category}} products", { role: "user", content: "Written by a {{respondent.role}}" }],
+      "template-object",
+      { port: server.port }
+    );
+    const response = await caller.run({ input: "Battery lasts long", category: "phone", respondent: { role: "nurse" } });
+
+    expect(server.requests[0].body.messages).toEqual([
+      { role: "system", content: "You review phone products" },
+      { role: "user", content: "Written by a nurse" },
+      { role: "user", content: "Battery lasts long" },
+    ]);
+    expect(response.output).toBe("re: Battery lasts long");
+    expect(response.metadata.prompt).toEqual([
+      { role: "system", content: "You review phone products" },
+      { role: "user", content: "Written by a nurse" },
+    ]);
+  });
+
+  it("should fill placeholders from vars, taking precedence over object fields", async () => {
+    const caller = $("Rate this {{ category }} review", "template-vars", { port: server.port });
+    await caller.run("Great", { vars: { category: "laptop" } });
+    expect(server.requests[0].body.messages[0].content).toBe("Rate this laptop review");
+
+    await caller.run({ input: "Great", category: "phone" }, { vars: { category: "tablet" } });
+    expect(server.requests[1].body.messages[0].content).toBe("Rate this tablet review");
+  });
+
+  it("should use object outputs of previous responses", async () => {
+    const extract = $((i) => ({ input: i, category: "camera" }), "template-extract");
+    const caller = $("Reviews of {{category}}", "template-response", { port: server.port });
+    const response = await caller.run(await extract.run("Sharp pictures"));
+    expect(server.requests[0].body.messages).toEqual([
+      { role: "system", content: "Reviews of camera" },
+      { role: "user", content: "Sharp pictures" },
+    ]);
+    expect(response.input).toBeInstanceOf(Response);
+  });
+
+  it("should send objects without an input field as JSON", async () => {
+    const caller = $("Summarize {{topic}}", "template-json", { port: server.port });
+    await caller.run({ topic: "delivery", text: "Late" });
+    expect(server.requests[0].body.messages[1].content).toBe('{"topic":"delivery","text":"Late"}');
+  });
+
+  it("should fail clearly on missing variables without requesting", async () => {
+    const caller = $(["For {{category}}", "By {{role}}"], "template-missing", { port: server.port });
+    await expect(caller.run("Text", { vars: { category: "phone" } })).rejects.toThrow(
+      "Missing variable(s) 'role' for the prompt of 'template-missing'"
+    );
+    expect(server.requests).toHaveLength(0);
+  });
+
+  it("should not record the prompt of callers without placeholders", async () => {
+    const caller = $("Be brief", "template-none", { port: server.port });
+    const response = await caller.run("Hi");
+    expect(response.metadata.prompt).toBeUndefined();
+  });
+});
@@ -0,0 +1,127 @@
+import { $, ToolCaller } from "../src/callers/index.js";
+import { getProvider } from "../src/util/fetch/providers.js";
+import { startStubServer, reply } from "../fetch/stub-server.js";
+
+const catalog = {
+  name: "lookup_product",
+  description: "Looks up a product in the catalog",
+  parameters: { type: "object", properties: { sku: { type: "string" } }, required: ["sku"] },
+  run: async ({ sku }) => ({ sku, category: sku === "A1" ? "phone" : "unknown" }),
+};
+
+const toolCall = (id, name, args) => ({
+  choices: [
+    {
+      message: {
+        content: null,
+        tool_calls: [{ id, type: "function", function: { name, arguments: JSON.stringify(args) } }],
+      },
+      finish_reason: "tool_calls",
+    },
+  ],
+});
+
+describe("LLMCaller tool calling", () => {
+  let server;
+  let handler;
+
+  beforeAll(async () => {
+    server = await startStubServer((request, res) => handler(request, res));
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it("should run the tool calls loop until a final answer, recording every call in the chain", async () => {
+    handler = (request, res) => {
+      const last = request.body.messages.at(-1);
+      if (last.role === "tool") return reply(res, { choices: [{ message: { content: `Category of ${last.content}` } }] });
+      reply(res, toolCall("call_1", "lookup_product", { sku: "A1" }));
+    };
+    const caller = $("Code the product category", "tools-loop", { port: server.port, tools: [catalog] });
+    expect(caller.tools.lookup_product).toBeInstanceOf(ToolCaller);
+
+    const response = await caller.run("Review of A1");
+
+    expect(server.requests[0].body.tools).toEqual([
+      {
+        type: "function",
+        function: { name: catalog.name, description: catalog.description, parameters: catalog.parameters },
+      },
+    ]);
+    expect(server.requests[1].body.messages.slice(-3)).toEqual([
+      { role: "user", content: "Review of A1" },
+      {
+        role: "assistant",
+        content: "",
+        tool_calls: [{ id: "call_1", type: "function", function: { name: "lookup_product", arguments: '{"sku":"A1"}' } }],
+      },
+      { role: "tool", tool_call_id: "call_1", content: '{"sku":"A1","category":"phone"}' },
+    ]);
+    expect(response.output).toBe('Category of {"sku":"A1","category":"phone"}');
+    expect(response.metadata.toolRounds).toBe(1);
+
+    const call = response.input;
+    expect(call.caller.id).toBe("tools-loop.tool.lookup_product");
+    expect(call.output).toEqual({ sku: "A1", category: "phone" });
+    expect(call.metadata).toEqual({ tool: "lookup_product", arguments: { sku: "A1" } });
+    expect(call.input).toBe("Review of A1");
+    expect(response.rootInput()).toBe("Review of A1");
+    expect(response.toStringExpanded()).toContain("[tools-loop.tool.lookup_product]");
+  });
+
+  it("should pass tool failures and unknown tools on to the model", async () => {
+    handler = (request, res) => {
+      const tools = request.body.messages.filter((m) => m.role === "tool");
+      if (tools.length === 0)
+        return reply(res, {
+          choices: [
+            {
+              message: {
+                content: null,
+                tool_calls: [
+                  { id: "a", type: "function", function: { name: "failing", arguments: "{}" } },
+                  { id: "b", type: "function", function: { name: "missing", arguments: "{}" } },
+                ],
+              },
+            },
+          ],
+        });
+      reply(res, { choices: [{ message: { content: tools.map((m) => m.content).join(" | ") } }] });
+    };
+    const failing = { name: "failing", run: () => { throw new Error("catalog offline"); } };
+    const caller = $("Code the product", "tools-failing", { port: server.port, tools: [failing] });
+    const response = await caller.run("Review");
+    expect(response.output).toBe("Error: catalog offline | Error: unknown tool 'missing'");
+    expect(response.input.metadata.error).toBe("catalog offline");
+  });
+
+  it("should stop after the maximum number of tool rounds", async () => {
+    handler = (_, res) => reply(res, toolCall("again", "lookup_product", { sku: "B2" }));
+    const caller = $("Code", "tools-rounds", { port: server.port, tools: [catalog], toolRounds: 2 });
+    await expect(caller.run("Review")).rejects.toThrow("did not give a final answer after 2 rounds of tool calls");
+    expect(server.requests).toHaveLength(3);
+    expect(server.requests[0].body.toolRounds).toBeUndefined();
+  });
+
+  it("should convert tool exchanges for ollama", () => {
+    const ollama = getProvider("ollama");
+    const body = ollama.body(
+      [
+        { role: "assistant", content: "", toolCalls: [{ id: "call_0", name: "lookup_product", arguments: { sku: "A1" } }] },
+        { role: "tool", toolCallId: "call_0", name: "lookup_product", content: "phone" },
+      ],
+      { model: "m", settings: { temperature: 0, max_tokens: -1, stream: false } }
+    );
+    expect(body.messages).toEqual([
+      { role: "assistant", content: "", tool_calls: [{ function: { name: "lookup_product", arguments: { sku: "A1" } } }] },
+      { role: "tool", tool_name: "lookup_product", content: "phone" },
+    ]);
+    expect(
+      ollama.toolCalls({ message: { tool_calls: [{ function: { name: "lookup_product", arguments: { sku: "A1" } } }] } })
+    ).toEqual([{ id: "call_0", name: "lookup_product", arguments: { sku: "A1" } }]);
+  });
+});
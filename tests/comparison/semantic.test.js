@@ -0,0 +1,44 @@
+import { SemanticSimilarityComparisonModel } from "../src/comparators/models/index.js";
+import { Response } from "../src/response/index.js";
+import { $ } from "../src/callers/index.js";
+
+const identity = $((a) => a);
+
+const createResponse = (output) => new Response(output, identity, "input");
+
+describe("SemanticSimilarityComparisonModel", () => {
+  it("should return the cosine similarity of two embeddings", () => {
+    const model = new SemanticSimilarityComparisonModel();
+    expect(createResponse([1, 0]).compare(createResponse([2, 0])).run(model)).toBeCloseTo(1);
+    expect(createResponse([1, 0]).compare(createResponse([0, 3])).run(model)).toBeCloseTo(0);
+    expect(createResponse([1, 1]).compare(createResponse([1, 0])).run(model)).toBeCloseTo(Math.SQRT1_2);
+    expect(createResponse([1, 0]).compare(createResponse([-1, 0])).run(model)).toBeCloseTo(-1);
+  });
+
+  it("should average the similarity of lists of embeddings by position", () => {
+    const model = new SemanticSimilarityComparisonModel();
+    const a = createResponse([[1, 0], [0, 1]]);
+    const b = createResponse([[1, 0], [1, 0]]);
+    expect(a.compare(b).run(model)).toBeCloseTo(0.5);
+    expect(() => a.compare(createResponse([[1, 0]])).run(model)).toThrow("Cannot compare 2 with 1 embeddings");
+  });
+
+  it("should turn similarities into agreement using thresholds", () => {
+    const single = new SemanticSimilarityComparisonModel(0.8);
+    const a = createResponse([1, 0]);
+    expect(a.compare(createResponse([1, 0.1])).run(single)).toBe(1);
+    expect(a.compare(createResponse([1, 1])).run(single)).toBe(0);
+
+    const range = new SemanticSimilarityComparisonModel({ agree: 0.9, disagree: 0.5 });
+    expect(a.compare(createResponse([1, 0.1])).run(range)).toBe(1);
+    expect(a.compare(createResponse([1, 1])).run(range)).toBe(0.5);
+    expect(a.compare(createResponse([0, 1])).run(range)).toBe(0);
+  });
+
+  it("should reject outputs that are not embeddings", () => {
+    const model = new SemanticSimilarityComparisonModel();
+    expect(() => createResponse("text").compare(createResponse([1])).run(model)).toThrow("use an EmbeddingCaller");
+    expect(() => createResponse([1, 0]).compare(createResponse([1])).run(model)).toThrow("differ in dimensions");
+    expect(() => new SemanticSimilarityComparisonModel({ agree: 0.5, disagree: 0.9 })).toThrow();
+  });
+});
@@ -0,0 +1,77 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Budget } from "../src/util/fetch/budget.js";
+import { BudgetExceededError } from "../src/util/fetch/errors.js";
+import { enableCache, disableCache } from "../src/util/fetch/cache.js";
+import { $, embed } from "../src/callers/index.js";
+import { startStubServer, reply } from "./stub-server.js";
+
+describe("Budget", () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startStubServer((request, res) => {
+      if (request.url === "/v1/embeddings")
+        return reply(res, { data: [{ embedding: [1, 0] }], usage: { prompt_tokens: 3 } });
+      reply(res, {
+        choices: [{ message: { content: "Fine" } }],
+        usage: { prompt_tokens: 20, completion_tokens: 5 },
+      });
+    });
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it("should stop issuing requests of a batch once the call budget is exhausted, reporting what was skipped", async () => {
+    const caller = $("Summarize", "budget-calls", { port: server.port });
+    const budget = new Budget({ calls: 2 });
+    const results = await Promise.allSettled(["a", "b", "c"].map((input) => caller.run(input, { budget })));
+
+    expect(results.map((r) => r.status)).toEqual(["fulfilled", "fulfilled", "rejected"]);
+    expect(results[2].reason).toBeInstanceOf(BudgetExceededError);
+    expect(results[2].reason.message).toBe("Call budget exhausted, skipped request of 'budget-calls'");
+    expect(server.requests).toHaveLength(2);
+    expect(budget.exhausted()).toBe(true);
+    expect(budget.report()).toMatchObject({
+      limits: { calls: 2, tokens: Infinity },
+      used: { calls: 2, tokens: 50 },
+      skipped: [{ callerId: "budget-calls", input: "c", reason: "calls", tokens: expect.any(Number) }],
+    });
+  });
+
+  it("should charge the reported usage and skip prompts exceeding the remaining tokens", async () => {
+    const budget = new Budget({ tokens: 40 });
+    const caller = $("Summarize", "budget-tokens", { port: server.port, budget });
+    await caller.run("a");
+    expect(budget.remaining().tokens).toBe(15);
+    await expect(caller.run("a rather long input which exceeds what is left of the budget")).rejects.toThrow(
+      "Token budget exhausted"
+    );
+    expect(budget.skipped[0].reason).toBe("tokens");
+
+    const embedder = embed("budget-embeddings", { port: server.port, budget });
+    await embedder.run("a");
+    expect(budget.used).toEqual({ calls: 2, tokens: 28 });
+  });
+
+  it("should not charge replies served from the cache", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "aitomics-budget-"));
+    enableCache({ dir });
+    try {
+      const budget = new Budget({ calls: 1 });
+      const caller = $("Summarize", "budget-cache", { port: server.port, budget });
+      await caller.run("cached");
+      const response = await caller.run("cached");
+      expect(response.metadata.source).toBe("cache");
+      expect(budget.used.calls).toBe(1);
+    } finally {
+      disableCache();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
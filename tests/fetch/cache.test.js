@@ -0,0 +1,84 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fetch } from "../src/util/fetch/fetch.js";
+import {
+  enableCache,
+  disableCache,
+  getCacheStats,
+  invalidateCache,
+} from "../src/util/fetch/cache.js";
+import { CacheMissError } from "../src/util/fetch/errors.js";
+import { $ } from "../src/callers/index.js";
+import { startStubServer, reply } from "./stub-server.js";
+
+const context = [{ role: "system", content: "Be brief" }];
+
+describe("Response cache", () => {
+  let server;
+  let dir;
+
+  beforeAll(async () => {
+    server = await startStubServer((request, res) =>
+      reply(res, { choices: [{ message: { content: `echo ${request.body.messages.at(-1).content}` } }] })
+    );
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "aitomics-cache-"));
+    enableCache({ dir });
+    server.requests.length = 0;
+  });
+
+  afterEach(() => {
+    disableCache();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should serve repeated requests from the cache", async () => {
+    expect(await fetch("a", context, server.config())).toBe("echo a");
+    expect(await fetch("a", context, server.config())).toBe("echo a");
+    expect(server.requests).toHaveLength(1);
+    expect(getCacheStats()).toEqual({ hits: 1, misses: 1, writes: 1 });
+  });
+
+  it("should key on model, messages and sampling settings but not streaming", async () => {
+    await fetch("a", context, server.config());
+    await fetch("b", context, server.config());
+    await fetch("a", context, server.config({ model: "other" }));
+    await fetch("a", context, server.config({ settings: { temperature: 0 } }));
+    expect(server.requests).toHaveLength(4);
+
+    const tokens = [];
+    const output = await fetch("a", context, server.config({ settings: { stream: true } }), {
+      onToken: (t) => tokens.push(t),
+    });
+    expect(output).toBe("echo a");
+    expect(tokens).toEqual(["echo a"]);
+    expect(server.requests).toHaveLength(4);
+  });
+
+  it("should fail on misses in cache-only mode", async () => {
+    await fetch("a", context, server.config());
+    enableCache({ dir, mode: "cache-only" });
+    expect(await fetch("a", context, server.config())).toBe("echo a");
+    await expect(fetch("b", context, server.config())).rejects.toThrow(CacheMissError);
+    expect(server.requests).toHaveLength(1);
+  });
+
+  it("should invalidate entries by caller id", async () => {
+    const first = $("Prompt one", "cache-first", { port: server.port });
+    const second = $("Prompt two", "cache-second", { port: server.port });
+    await first.run("a");
+    await second.run("a");
+
+    expect(invalidateCache("cache-first")).toBe(1);
+    await first.run("a");
+    await second.run("a");
+    expect(server.requests).toHaveLength(3);
+
+    expect(invalidateCache()).toBe(2);
+  });
+});
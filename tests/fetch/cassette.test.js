@@ -0,0 +1,83 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fetch } from "../src/util/fetch/fetch.js";
+import { useCassette, ejectCassette } from "../src/util/fetch/cassette.js";
+import { CassetteMismatchError } from "../src/util/fetch/errors.js";
+import { startStubServer, reply } from "./stub-server.js";
+
+const context = [{ role: "system", content: "Be brief" }];
+
+describe("Cassettes", () => {
+  let server;
+  let dir;
+  let file;
+
+  beforeAll(async () => {
+    server = await startStubServer((request, res) =>
+      reply(res, {
+        choices: [{ message: { content: `reply ${server.requests.length}` } }],
+      })
+    );
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "aitomics-cassette-"));
+    file = path.join(dir, "cassette.json");
+    server.requests.length = 0;
+  });
+
+  afterEach(() => {
+    ejectCassette();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should replay recorded interactions in order without network access", async () => {
+    useCassette(file, { mode: "record" });
+    await fetch("a", context, server.config());
+    await fetch("a", context, server.config());
+    await fetch("b", context, server.config());
+    ejectCassette();
+    expect(JSON.parse(fs.readFileSync(file, "utf8")).interactions).toHaveLength(3);
+
+    useCassette(file);
+    const unreachable = server.config({ port: 1 });
+    expect(await fetch("a", context, unreachable)).toBe("reply 1");
+    expect(await fetch("a", context, unreachable)).toBe("reply 2");
+    expect(await fetch("b", context, unreachable)).toBe("reply 3");
+    // once all matching interactions are served, the first is served again
+    expect(await fetch("a", context, unreachable)).toBe("reply 1");
+    expect(server.requests).toHaveLength(3);
+  });
+
+  it("should fail loudly on unmatched requests", async () => {
+    useCassette(file, { mode: "record" });
+    await fetch("a", context, server.config());
+    useCassette(file);
+    await expect(fetch("c", context, server.config())).rejects.toThrow(CassetteMismatchError);
+    await expect(
+      fetch("a", context, server.config({ settings: { temperature: 0 } }))
+    ).rejects.toThrow(CassetteMismatchError);
+  });
+
+  it("should support whitespace normalized and custom matching", async () => {
+    useCassette(file, { mode: "record" });
+    await fetch("some  input\n", context, server.config());
+
+    useCassette(file);
+    await expect(fetch("some input", context, server.config())).rejects.toThrow(CassetteMismatchError);
+
+    useCassette(file, { match: "normalized" });
+    expect(await fetch("some input", context, server.config())).toBe("reply 1");
+
+    useCassette(file, { match: (recorded, request) => recorded.model === request.model });
+    expect(await fetch("anything", context, server.config())).toBe("reply 1");
+  });
+
+  it("should reject files which are not cassettes", () => {
+    fs.writeFileSync(file, JSON.stringify({ interactions: [] }));
+    expect(() => useCassette(file)).toThrow("Not an Aitomics cassette file");
+  });
+});
@@ -0,0 +1,96 @@
+import https from "https";
+import { fetch } from "../src/util/fetch/fetch.js";
+import { httpsAgent, redactConfig } from "../src/util/fetch/client.js";
+import { toLLMError, LLMError } from "../src/util/fetch/errors.js";
+import { $ } from "../src/callers/index.js";
+import { startStubServer, reply } from "./stub-server.js";
+
+const context = [{ role: "system", content: "Be brief" }];
+
+describe("Authentication and TLS", () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startStubServer((request, res) =>
+      request.url === "/v1/messages"
+        ? reply(res, { content: [{ type: "text", text: "ok" }] })
+        : reply(res, { choices: [{ message: { content: "ok" } }] })
+    );
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    server.requests.length = 0;
+    process.env.AITOMICS_TEST_KEY = "secret-key";
+  });
+
+  afterEach(() => delete process.env.AITOMICS_TEST_KEY);
+
+  it("should not disable certificate checks for the whole process", () => {
+    expect(process.env.NODE_TLS_REJECT_UNAUTHORIZED).toBeUndefined();
+  });
+
+  it("should send the api key as a bearer token along with custom headers", async () => {
+    await fetch("hi", context, server.config({ api_key: "abc", headers: { "X-Team": "research" } }));
+    const { headers } = server.requests[0];
+    expect(headers.authorization).toBe("Bearer abc");
+    expect(headers["x-team"]).toBe("research");
+    expect(headers["content-type"]).toBe("application/json");
+  });
+
+  it("should read the api key and headers from environment variables", async () => {
+    await fetch(
+      "hi",
+      context,
+      server.config({ api_key: "${AITOMICS_TEST_KEY}", headers: { "X-Token": "token ${AITOMICS_TEST_KEY}" } })
+    );
+    const { headers } = server.requests[0];
+    expect(headers.authorization).toBe("Bearer secret-key");
+    expect(headers["x-token"]).toBe("token secret-key");
+  });
+
+  it("should fail if a referenced environment variable is not set", async () => {
+    await expect(fetch("hi", context, server.config({ api_key: "${AITOMICS_MISSING_KEY}" }))).rejects.toThrow(
+      "Environment variable 'AITOMICS_MISSING_KEY' is not set"
+    );
+    expect(server.requests).toHaveLength(0);
+  });
+
+  it("should let providers describe their own authentication", async () => {
+    await fetch("hi", context, server.config({ provider: "anthropic", endpoint: "v1/messages", api_key: "abc" }));
+    const { headers } = server.requests[0];
+    expect(headers["x-api-key"]).toBe("abc");
+    expect(headers.authorization).toBeUndefined();
+  });
+
+  it("should not store secrets with the response", async () => {
+    const caller = $("Be brief", "auth-caller", server.config({ api_key: "abc", headers: { "X-Team": "research" } }));
+    const response = await caller.run("hi");
+    expect(response.config.api_key).toBe("[redacted]");
+    expect(response.config.headers).toEqual({ "X-Team": "[redacted]" });
+    expect(JSON.stringify(response)).not.toContain("abc");
+    expect(redactConfig({ model: "m" })).toEqual({ model: "m" });
+  });
+
+  it("should scope tls settings to agents of the config", () => {
+    const pem = "-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----\n";
+    expect(httpsAgent({})).toBeUndefined();
+    const insecure = httpsAgent({ tls: { insecure: true } });
+    expect(insecure).toBeInstanceOf(https.Agent);
+    expect(insecure).not.toBe(https.globalAgent);
+    expect(insecure.options.rejectUnauthorized).toBe(false);
+    const custom = httpsAgent({ tls: { ca: pem } });
+    expect(custom.options.rejectUnauthorized).toBe(true);
+    expect(custom.options.ca).toContain(pem);
+    expect(httpsAgent({ tls: { ca: pem } })).toBe(custom);
+  });
+
+  it("should not retry certificate failures", () => {
+    const e = Object.assign(new Error("self signed certificate"), { code: "DEPTH_ZERO_SELF_SIGNED_CERT", request: {} });
+    const error = toLLMError(e, { endpoint: "https://internal/v1/chat/completions" });
+    expect(error).toBeInstanceOf(LLMError);
+    expect(error.isRetryable()).toBe(false);
+    expect(error.message).toContain("tls.ca or tls.insecure");
+  });
+});
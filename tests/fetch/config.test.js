@@ -0,0 +1,181 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  reloadConfig,
+  setConfigFromObject,
+  useProfile,
+  getProfile,
+  getConfig,
+  getConfigSources,
+  resolveConfig,
+} from "../src/util/fetch/config.js";
+// the validator itself, rather than the mock of its entry point
+import validateSchema from "yaml-schema-validator/src/index.js";
+
+const ENV = [
+  "AITOMICS_MODEL",
+  "AITOMICS_PORT",
+  "AITOMICS_TEMPERATURE",
+  "AITOMICS_RETRY_RETRIES",
+  "AITOMICS_PROFILE",
+  "AITOMICS_API_KEY",
+  "AITOMICS_SEED",
+  "AITOMICS_SETTINGS_TOP_P",
+  "AITOMICS_SETTINGS_STOP",
+];
+
+describe("Layered config", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "aitomics-config-"));
+    fs.mkdirSync(path.join(dir, "sub"));
+  });
+
+  afterEach(() => {
+    for (const name of ENV) delete process.env[name];
+    setConfigFromObject({});
+    useProfile(undefined);
+    reloadConfig();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeProject = (content) => fs.writeFileSync(path.join(dir, "aitomics.config.yml"), content);
+
+  it("should use the bundled defaults without other layers", () => {
+    reloadConfig(path.join(dir, "sub"));
+    expect(getConfig().model).toBe("llama-3.2-3b-instruct");
+    expect(getConfigSources()["model"]).toMatch(/^defaults \(.*default-config\.yml\)$/);
+  });
+
+  it("should discover the project config file from a parent directory", () => {
+    writeProject("model: project-model\nsettings:\n  temperature: 0.2\n");
+    reloadConfig(path.join(dir, "sub"));
+    expect(getConfig().model).toBe("project-model");
+    expect(getConfig().settings).toMatchObject({ temperature: 0.2, max_tokens: -1, stream: false });
+    expect(getConfigSources()["settings.temperature"]).toBe(`project (${path.join(dir, "aitomics.config.yml")})`);
+    expect(getConfigSources()["settings.max_tokens"]).toMatch(/^defaults/);
+  });
+
+  it("should apply environment variables over the project config file", () => {
+    writeProject("model: project-model\nport: 1111\n");
+    process.env.AITOMICS_MODEL = "env-model";
+    process.env.AITOMICS_TEMPERATURE = "0";
+    process.env.AITOMICS_RETRY_RETRIES = "5";
+    reloadConfig(path.join(dir, "sub"));
+    const config = getConfig();
+    expect(config.model).toBe("env-model");
+    expect(config.port).toBe(1111);
+    expect(config.settings.temperature).toBe(0);
+    expect(config.retry.retries).toBe(5);
+    const sources = getConfigSources();
+    expect(sources["model"]).toBe("env (AITOMICS_MODEL)");
+    expect(sources["retry.retries"]).toBe("env (AITOMICS_RETRY_RETRIES)");
+    expect(sources["port"]).toMatch(/^project/);
+  });
+
+  it("should parse environment variables by the type of their key", () => {
+    process.env.AITOMICS_API_KEY = "0123";
+    process.env.AITOMICS_MODEL = "a: b: c";
+    process.env.AITOMICS_SETTINGS_TOP_P = "0.9";
+    process.env.AITOMICS_SETTINGS_STOP = '["\\n"]';
+    process.env.AITOMICS_SEED = "7";
+    reloadConfig(path.join(dir, "sub"));
+    const config = getConfig();
+    expect(config.api_key).toBe("0123");
+    expect(config.model).toBe("a: b: c");
+    expect(config.settings).toMatchObject({ top_p: 0.9, stop: ["\n"] });
+    expect(config.settings.seed).toBeUndefined();
+    const sources = getConfigSources();
+    expect(sources["settings.top_p"]).toBe("env (AITOMICS_SETTINGS_TOP_P)");
+    expect(sources["settings.seed"]).toBeUndefined();
+
+    process.env.AITOMICS_PORT = "local";
+    expect(() => reloadConfig(path.join(dir, "sub"))).toThrow("AITOMICS_PORT must be a number, got 'local'");
+  });
+
+  it("should apply explicitly set config over all other layers", () => {
+    process.env.AITOMICS_MODEL = "env-model";
+    reloadConfig(path.join(dir, "sub"));
+    setConfigFromObject({ model: "explicit-model" });
+    expect(getConfig().model).toBe("explicit-model");
+    expect(getConfigSources()["model"]).toBe("explicit");
+    expect(resolveConfig({ temperature: 1 }).model).toBe("explicit-model");
+  });
+
+  it("should select profiles from a file, the environment or useProfile", () => {
+    writeProject(
+      [
+        "profile: local",
+        "profiles:",
+        "  local:",
+        "    model: local-model",
+        "  ci:",
+        "    model: ci-model",
+        "    settings:",
+        "      temperature: 0",
+      ].join("\n")
+    );
+    reloadConfig(path.join(dir, "sub"));
+    expect(getProfile()).toBe("local");
+    expect(getConfig().model).toBe("local-model");
+    expect(getConfigSources()["model"]).toBe(`project (${path.join(dir, "aitomics.config.yml")}, profile local)`);
+
+    process.env.AITOMICS_PROFILE = "ci";
+    reloadConfig(path.join(dir, "sub"));
+    expect(getConfig()).toMatchObject({ model: "ci-model", settings: { temperature: 0 } });
+
+    useProfile("local");
+    expect(getConfig().model).toBe("local-model");
+  });
+
+  it("should pass settings outside the config form through to the server", () => {
+    reloadConfig(path.join(dir, "sub"));
+    const config = resolveConfig({ temperature: 0.3, top_p: 0.9, seed: 7, settings: { presence_penalty: 0.5 } });
+    expect(config.settings).toMatchObject({ temperature: 0.3, top_p: 0.9, seed: 7, presence_penalty: 0.5 });
+  });
+
+  it("should keep custom headers, which the validator strips", () => {
+    const stripped = { model: "m", headers: { "X-Team": "research" } };
+    validateSchema(stripped, { schema: { model: { type: String }, headers: { type: Object } }, logLevel: "none" });
+    expect(stripped.headers).toEqual({});
+
+    reloadConfig(path.join(dir, "sub"));
+    setConfigFromObject({ headers: { "X-Team": "research" } });
+    expect(getConfig().headers).toEqual({ "X-Team": "research" });
+    expect(resolveConfig({ headers: { "X-Token": "token" } }).headers).toEqual({ "X-Token": "token" });
+  });
+
+  it("should use the chat endpoint of the provider unless one is set", () => {
+    writeProject("provider: ollama\n");
+    reloadConfig(path.join(dir, "sub"));
+    expect(getConfig().endpoint).toBe("api/chat");
+    expect(getConfigSources()["endpoint"]).toBe("provider (ollama)");
+    expect(resolveConfig({ provider: "anthropic" }).endpoint).toBe("v1/messages");
+    expect(resolveConfig({ provider: "anthropic", endpoint: "proxy/messages" }).endpoint).toBe("proxy/messages");
+  });
+
+  it("should reject values of the wrong type", () => {
+    writeProject("port: local\n");
+    expect(() => reloadConfig(path.join(dir, "sub"))).toThrow(`Invalid config: 'port' must be a number, got "local"`);
+    fs.rmSync(path.join(dir, "aitomics.config.yml"));
+    reloadConfig(path.join(dir, "sub"));
+
+    expect(() => setConfigFromObject({ settings: { stream: "yes" } })).toThrow(
+      `Invalid config: 'settings.stream' must be a boolean, got "yes"`
+    );
+    // the previous config is kept
+    expect(getConfig().settings.stream).toBe(false);
+    expect(getConfigSources()["settings.stream"]).toMatch(/^defaults/);
+    expect(() => resolveConfig({ retry: { retries: "2" } })).toThrow(`'retry.retries' must be a number`);
+    expect(() => resolveConfig({ headers: "X-Team: research" })).toThrow(`'headers' must be an object`);
+    expect(() => resolveConfig({ model: null })).toThrow(`Invalid config: 'model' is required`);
+  });
+
+  it("should reject unknown profiles and keep the previous selection", () => {
+    reloadConfig(path.join(dir, "sub"));
+    expect(() => useProfile("missing")).toThrow("Unknown profile 'missing'");
+    expect(getProfile()).toBeUndefined();
+  });
+});
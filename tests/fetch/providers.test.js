@@ -0,0 +1,135 @@
+import { fetch } from "../src/util/fetch/fetch.js";
+import { registerProvider, getProvider } from "../src/util/fetch/providers.js";
+import { startStubServer, reply } from "./stub-server.js";
+
+const context = [{ role: "system", content: "Be brief" }];
+
+describe("Provider adapters", () => {
+  let server;
+  let handler;
+
+  beforeAll(async () => {
+    server = await startStubServer((request, res) => handler(request, res));
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it("should default to the openai chat completions format", async () => {
+    handler = (_, res) => reply(res, { choices: [{ message: { content: "hi" } }] });
+    const output = await fetch("hello", context, server.config());
+    expect(output).toBe("hi");
+    const [request] = server.requests;
+    expect(request.url).toBe("/v1/chat/completions");
+    expect(request.body).toEqual({
+      model: "stub-model",
+      messages: [...context, { role: "user", content: "hello" }],
+      temperature: 0.7,
+      max_tokens: -1,
+      stream: false,
+    });
+  });
+
+  it("should use the native ollama chat format", async () => {
+    handler = (_, res) => reply(res, { message: { role: "assistant", content: "hi" } });
+    const output = await fetch(
+      "hello",
+      context,
+      server.config({ provider: "ollama", endpoint: "api/chat" })
+    );
+    expect(output).toBe("hi");
+    const [request] = server.requests;
+    expect(request.url).toBe("/api/chat");
+    expect(request.body.options).toEqual({ temperature: 0.7, num_predict: -1 });
+    expect(request.body.messages).toHaveLength(2);
+  });
+
+  it("should flatten messages into a prompt for llama.cpp", async () => {
+    handler = (_, res) => reply(res, { content: "hi" });
+    const output = await fetch(
+      "hello",
+      context,
+      server.config({ provider: "llamacpp", endpoint: "completion" })
+    );
+    expect(output).toBe("hi");
+    const [request] = server.requests;
+    expect(request.body.prompt).toBe("system: Be brief\nuser: hello\nassistant:");
+    expect(request.body.n_predict).toBe(-1);
+  });
+
+  it("should move system messages for anthropic style messages", async () => {
+    handler = (_, res) =>
+      reply(res, { content: [{ type: "text", text: "h" }, { type: "text", text: "i" }] });
+    const output = await fetch(
+      "hello",
+      context,
+      server.config({ provider: "anthropic", endpoint: "v1/messages" })
+    );
+    expect(output).toBe("hi");
+    const [request] = server.requests;
+    expect(request.headers["anthropic-version"]).toBe("2023-06-01");
+    expect(request.body.system).toBe("Be brief");
+    expect(request.body.messages).toEqual([{ role: "user", content: "hello" }]);
+    expect(request.body.max_tokens).toBe(4096);
+  });
+
+  it("should use the chat endpoint of the provider unless one is set", async () => {
+    const replies = {
+      "/api/chat": { message: { content: "ollama" } },
+      "/completion": { content: "llamacpp" },
+      "/v1/messages": { content: [{ type: "text", text: "anthropic" }] },
+    };
+    handler = (request, res) => reply(res, replies[request.url] ?? {}, replies[request.url] ? 200 : 404);
+    for (const provider of ["ollama", "llamacpp", "anthropic"]) {
+      expect(await fetch("hello", context, server.config({ provider, endpoint: undefined }))).toBe(provider);
+    }
+    expect(server.requests.map((r) => r.url)).toEqual(["/api/chat", "/completion", "/v1/messages"]);
+  });
+
+  it("should pass other settings on in the format of the provider", () => {
+    const messages = [{ role: "user", content: "hello" }];
+    const settings = { temperature: 0, max_tokens: 50, stream: false, top_p: 0.9, top_k: 40, seed: 7, stop: "\n" };
+    expect(getProvider("openai").body(messages, { model: "m", settings })).toMatchObject({ top_p: 0.9, seed: 7, stop: "\n" });
+    expect(getProvider("ollama").body(messages, { model: "m", settings }).options).toEqual({
+      temperature: 0,
+      top_p: 0.9,
+      top_k: 40,
+      seed: 7,
+      stop: "\n",
+      num_predict: 50,
+    });
+    expect(getProvider("llamacpp").body(messages, { settings })).toMatchObject({
+      temperature: 0,
+      top_p: 0.9,
+      top_k: 40,
+      seed: 7,
+      stop: "\n",
+      n_predict: 50,
+    });
+    const anthropic = getProvider("anthropic").body(messages, { model: "m", settings });
+    expect(anthropic).toMatchObject({ temperature: 0, top_p: 0.9, top_k: 40, stop_sequences: ["\n"], max_tokens: 50 });
+    expect(anthropic.seed).toBeUndefined();
+  });
+
+  it("should support custom providers", async () => {
+    registerProvider("custom", {
+      headers: () => ({ "x-custom": "yes" }),
+      body: (messages, { model }) => ({ model, input: messages.at(-1).content }),
+      parse: (data) => data.result,
+    });
+    handler = (_, res) => reply(res, { result: "hi" });
+    const output = await fetch("hello", context, server.config({ provider: "custom" }));
+    expect(output).toBe("hi");
+    const [request] = server.requests;
+    expect(request.headers["x-custom"]).toBe("yes");
+    expect(request.body).toEqual({ model: "stub-model", input: "hello" });
+  });
+
+  it("should reject unknown and malformed providers", () => {
+    expect(() => getProvider("nope")).toThrow("Unknown provider 'nope'");
+    expect(() => registerProvider("broken", { body: () => ({}) })).toThrow();
+  });
+});
@@ -0,0 +1,103 @@
+import { fetch } from "../src/util/fetch/fetch.js";
+import {
+  LLMError,
+  ConnectionError,
+  RateLimitError,
+  ServerError,
+  MalformedResponseError,
+} from "../src/util/fetch/errors.js";
+import { backoff } from "../src/util/fetch/retry.js";
+import { startStubServer, reply } from "./stub-server.js";
+
+const context = [{ role: "system", content: "Be brief" }];
+const ok = (res) => reply(res, { choices: [{ message: { content: "hi" } }] });
+const retry = { retries: 2, delay: 1, max_delay: 5, factor: 2, jitter: false };
+
+describe("Retries and errors", () => {
+  let server;
+  let handler;
+
+  beforeAll(async () => {
+    server = await startStubServer((request, res) => handler(request, res));
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it("should retry transient server errors", async () => {
+    handler = (_, res) =>
+      server.requests.length < 3 ? reply(res, { error: "busy" }, 500) : ok(res);
+    const output = await fetch("hello", context, server.config({ retry }));
+    expect(output).toBe("hi");
+    expect(server.requests).toHaveLength(3);
+  });
+
+  it("should throw a ServerError carrying status, endpoint, body and attempts", async () => {
+    handler = (_, res) => reply(res, { error: "busy" }, 503);
+    const error = await fetch("hello", context, server.config({ retry })).catch((e) => e);
+    expect(error).toBeInstanceOf(ServerError);
+    expect(error.status).toBe(503);
+    expect(error.endpoint).toBe(`http://127.0.0.1:${server.port}/v1/chat/completions`);
+    expect(error.body).toEqual({ error: "busy" });
+    expect(error.attempts).toBe(3);
+  });
+
+  it("should retry rate limits, respecting retry-after", async () => {
+    handler = (_, res) => {
+      if (server.requests.length > 1) return ok(res);
+      res.writeHead(429, { "Retry-After": "0" });
+      res.end();
+    };
+    expect(await fetch("hello", context, server.config({ retry }))).toBe("hi");
+
+    handler = (_, res) => reply(res, {}, 429);
+    const error = await fetch("hello", context, server.config({ retry: { ...retry, retries: 0 } })).catch((e) => e);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.attempts).toBe(1);
+  });
+
+  it("should not retry client errors or malformed replies", async () => {
+    handler = (_, res) => reply(res, { error: "bad request" }, 400);
+    const error = await fetch("hello", context, server.config({ retry })).catch((e) => e);
+    expect(error).toBeInstanceOf(LLMError);
+    expect(error.status).toBe(400);
+    expect(server.requests).toHaveLength(1);
+
+    handler = (_, res) => reply(res, { unexpected: true });
+    const malformed = await fetch("hello", context, server.config({ retry })).catch((e) => e);
+    expect(malformed).toBeInstanceOf(MalformedResponseError);
+    expect(malformed.attempts).toBe(1);
+  });
+
+  it("should throw a ConnectionError on timeouts", async () => {
+    handler = (_, res) => setTimeout(() => ok(res), 200);
+    const error = await fetch(
+      "hello",
+      context,
+      server.config({ timeout: 20, retry: { ...retry, retries: 1 } })
+    ).catch((e) => e);
+    expect(error).toBeInstanceOf(ConnectionError);
+    expect(error.attempts).toBe(2);
+  });
+
+  it("should throw a ConnectionError when the server is unreachable", async () => {
+    const error = await fetch(
+      "hello",
+      context,
+      server.config({ port: 1, retry: { ...retry, retries: 0 } })
+    ).catch((e) => e);
+    expect(error).toBeInstanceOf(ConnectionError);
+  });
+
+  it("should back off exponentially up to the max delay", () => {
+    expect(backoff(retry, 1)).toBe(1);
+    expect(backoff(retry, 2)).toBe(2);
+    expect(backoff(retry, 4)).toBe(5);
+    const jittered = backoff({ ...retry, delay: 100, max_delay: 1000, jitter: true }, 2);
+    expect(jittered).toBeGreaterThanOrEqual(100);
+    expect(jittered).toBeLessThanOrEqual(200);
+  });
+});
@@ -0,0 +1,74 @@
+import { fetch } from "../src/util/fetch/fetch.js";
+import {
+  setRateLimits,
+  getQueueMetrics,
+  resetQueueMetrics,
+  schedule,
+} from "../src/util/fetch/scheduler.js";
+import { startStubServer, reply } from "./stub-server.js";
+
+const context = [{ role: "system", content: "Be brief" }];
+
+describe("Scheduler", () => {
+  let server;
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  beforeAll(async () => {
+    server = await startStubServer((_, res) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      setTimeout(() => {
+        inFlight--;
+        reply(res, { choices: [{ message: { content: "hi" } }] });
+      }, 10);
+    });
+  });
+
+  afterAll(() => server.close());
+
+  afterEach(() => {
+    setRateLimits();
+    resetQueueMetrics();
+  });
+
+  it("should limit the number of concurrent requests", async () => {
+    setRateLimits({ maxConcurrent: 2 });
+    const outputs = await Promise.all(
+      Array.from({ length: 6 }, (_, i) => fetch(`${i}`, context, server.config()))
+    );
+    expect(outputs).toEqual(Array(6).fill("hi"));
+    expect(maxInFlight).toBe(2);
+    expect(getQueueMetrics()).toMatchObject({ active: 0, queued: 0, completed: 6 });
+  });
+
+  it("should hold requests exceeding the requests per minute", async () => {
+    setRateLimits({ requestsPerMinute: 2 });
+    const started = [];
+    const tasks = [1, 2, 3].map((i) => schedule(async () => started.push(i)));
+    await Promise.all(tasks.slice(0, 2));
+    expect(started).toEqual([1, 2]);
+    expect(getQueueMetrics()).toMatchObject({ queued: 1, requestsLastMinute: 2 });
+
+    // lifting the limit releases the queue
+    setRateLimits();
+    await tasks[2];
+    expect(started).toEqual([1, 2, 3]);
+  });
+
+  it("should hold requests exceeding the tokens per minute", async () => {
+    setRateLimits({ tokensPerMinute: 100 });
+    const started = [];
+    const first = schedule(async (usage) => {
+      usage(50);
+      started.push(1);
+    }, 40);
+    const second = schedule(async () => started.push(2), 70);
+    await first;
+    expect(started).toEqual([1]);
+    expect(getQueueMetrics()).toMatchObject({ queued: 1, tokensLastMinute: 90 });
+    setRateLimits();
+    await second;
+    expect(started).toEqual([1, 2]);
+  });
+});
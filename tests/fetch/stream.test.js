@@ -0,0 +1,91 @@
+import { fetch, fetchWithMetadata } from "../src/util/fetch/fetch.js";
+import { $ } from "../src/callers/index.js";
+import { Response } from "../src/response/index.js";
+import { Budget } from "../src/util/fetch/budget.js";
+import { startStubServer, replyStream } from "./stub-server.js";
+
+const context = [{ role: "system", content: "Be brief" }];
+const openaiEvents = ["Hel", "lo", "!"].map((content) => ({
+  choices: [{ delta: { content } }],
+}));
+
+describe("Streaming", () => {
+  let server;
+  let handler;
+
+  beforeAll(async () => {
+    server = await startStubServer((request, res) => handler(request, res));
+  });
+
+  afterAll(() => server.close());
+
+  it("should accumulate server-sent events when stream is enabled", async () => {
+    handler = (_, res) => replyStream(res, openaiEvents);
+    const tokens = [];
+    const output = await fetch("hi", context, server.config({ settings: { stream: true } }), {
+      onToken: (t) => tokens.push(t),
+    });
+    expect(output).toBe("Hello!");
+    expect(tokens).toEqual(["Hel", "lo", "!"]);
+  });
+
+  it("should request and report the usage of streamed openai replies", async () => {
+    handler = (_, res) =>
+      replyStream(res, [
+        ...openaiEvents,
+        { choices: [{ delta: {}, finish_reason: "stop" }] },
+        { model: "stub-model", choices: [], usage: { prompt_tokens: 9, completion_tokens: 3 } },
+      ]);
+    server.requests.length = 0;
+    const budget = new Budget({ tokens: 100 });
+    const { output, metadata } = await fetchWithMetadata("hi", context, server.config({ settings: { stream: true } }), {
+      budget,
+    });
+    expect(budget.used.tokens).toBe(12);
+    expect(server.requests[0].body.stream_options).toEqual({ include_usage: true });
+    expect(output).toBe("Hello!");
+    expect(metadata).toMatchObject({ promptTokens: 9, completionTokens: 3, finishReason: "stop" });
+  });
+
+  it("should read newline delimited JSON for ollama", async () => {
+    handler = (_, res) =>
+      replyStream(
+        res,
+        [
+          { message: { content: "Hel" } },
+          { message: { content: "lo" } },
+          { done: true, done_reason: "stop", prompt_eval_count: 4, eval_count: 2 },
+        ],
+        "ndjson"
+      );
+    const { output, metadata } = await fetchWithMetadata(
+      "hi",
+      context,
+      server.config({ provider: "ollama", endpoint: "api/chat", settings: { stream: true } })
+    );
+    expect(output).toBe("Hello");
+    expect(metadata).toMatchObject({ promptTokens: 4, completionTokens: 2, finishReason: "stop" });
+  });
+
+  it("should only build the response once the stream completes", async () => {
+    handler = (_, res) => replyStream(res, openaiEvents);
+    const caller = $("Greet", "stream-greeter", { port: server.port });
+    const tokens = [];
+    const response = await caller.run("hi", { onToken: (t) => tokens.push(t) });
+    expect(response).toBeInstanceOf(Response);
+    expect(response.output).toBe("Hello!");
+    expect(response.config.settings.stream).toBe(true);
+    expect(tokens).toEqual(["Hel", "lo", "!"]);
+  });
+
+  it("should provide an iterable stream with a final response", async () => {
+    handler = (_, res) => replyStream(res, openaiEvents);
+    const caller = $("Greet", "stream-iterator", { port: server.port });
+    const stream = caller.stream("hi");
+    const tokens = [];
+    for await (const token of stream) tokens.push(token);
+    const response = await stream.final();
+    expect(tokens.join("")).toBe("Hello!");
+    expect(response.output).toBe("Hello!");
+  });
+});
@@ -0,0 +1,73 @@
+import http from "http";
+
+/**
+ * Writes a JSON reply to a stub server response
+ * @param {http.ServerResponse} res
+ * @param {Object} data
+ * @param {number} status
+ */
+export const reply = (res, data, status = 200) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+};
+
+/**
+ * Writes a streamed reply to a stub server response, as server-sent events ('sse') or newline delimited JSON ('ndjson')
+ * @param {http.ServerResponse} res
+ * @param {Object[]} events
+ * @param {string} format
+ */
+export const replyStream = (res, events, format = "sse") => {
+  res.writeHead(200, {
+    "Content-Type": format === "sse" ? "text/event-stream" : "application/x-ndjson",
+  });
+  for (const event of events) {
+    res.write(format === "sse" ? `data: ${JSON.stringify(event)}\n\n` : `${JSON.stringify(event)}\n`);
+  }
+  if (format === "sse") res.write("data: [DONE]\n\n");
+  res.end();
+};
+
+/**
+ * Starts a local HTTP server which records every request and hands it to the handler.
+ * @param {Function} handler - (request, res) where request is { method, url, headers, body }
+ * @returns {Promise<Object>} { port, requests, config(overrides), close() }
+ */
+export const startStubServer = async (handler) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const request = {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: body ? JSON.parse(body) : undefined,
+      };
+      requests.push(request);
+      handler(request, res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const port = server.address().port;
+
+  return {
+    port,
+    requests,
+    config: (overrides = {}) => ({
+      model: "stub-model",
+      path: "http://127.0.0.1",
+      port,
+      endpoint: "v1/chat/completions",
+      ...overrides,
+      settings: {
+        temperature: 0.7,
+        max_tokens: -1,
+        stream: false,
+        ...overrides.settings,
+      },
+    }),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
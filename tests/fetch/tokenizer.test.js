@@ -0,0 +1,29 @@
+import { approximateTokens, setTokenizer, countTokens, countMessageTokens } from "../src/util/fetch/tokenizer.js";
+import { $ } from "../src/callers/index.js";
+
+describe("Tokenizer", () => {
+  afterEach(() => setTokenizer());
+
+  it("should approximate the tokens of a BPE tokenizer", () => {
+    expect(approximateTokens("Hello world")).toBe(2);
+    expect(approximateTokens("The quick brown fox jumps over the lazy dog.")).toBe(10);
+    expect(approximateTokens("I don't know.")).toBe(5);
+    expect(approximateTokens("12345678")).toBe(3);
+    expect(approximateTokens("internationalization")).toBe(4);
+    expect(countTokens(undefined)).toBe(0);
+  });
+
+  it("should count the tokens of messages with their formatting", () => {
+    expect(countMessageTokens([{ role: "system", content: "Hello world" }, { role: "user", content: "" }])).toBe(10);
+  });
+
+  it("should use the tokenizer set to count the tokens of callers", () => {
+    const caller = $(["Summarize the {{kind}}", { role: "user", content: "Example" }], "tokenizer-caller");
+    setTokenizer((text) => text.split(" ").length);
+    expect(countTokens("one two three")).toBe(3);
+    expect(caller.tokens()).toBe(4 + 3 + 4 + 1);
+    expect(caller.tokens({ kind: "review", input: "Great phone" })).toBe(4 + 3 + 4 + 1 + 4 + 2);
+    expect(() => caller.tokens("Great phone")).toThrow("Missing variable(s) 'kind'");
+    expect(() => setTokenizer("cl100k")).toThrow("Tokenizer must be a function");
+  });
+});
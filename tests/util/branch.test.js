@@ -0,0 +1,107 @@
+import { $ } from "../src/callers/index.js";
+import { _ } from "../src/util/standard-library.js";
+import { Response } from "../src/response/index.js";
+import { image } from "../src/util/image.js";
+import { startStubServer, reply } from "../fetch/stub-server.js";
+
+describe("Conditional branching", () => {
+  const sentiment = $(
+    (i) => (i.includes("broke") ? "NEGATIVE" : i.includes("great") ? "POSITIVE" : "NEUTRAL"),
+    "branch-sentiment"
+  );
+  const complaint = $((i, response) => `complaint about '${response.rootInput()}'`, "branch-complaint");
+  const praise = $((i, response) => `praise of '${response.rootInput()}'`, "branch-praise");
+  const neutral = $((i) => `nothing to code (${i})`, "branch-neutral");
+
+  it("should run the caller of the branch taken, recording it in the lineage", async () => {
+    const coding = _.compose(sentiment, _.branch((label) => label === "NEGATIVE", complaint, praise));
+
+    const negative = await coding.run("broke after a day");
+    expect(negative.output).toBe("complaint about 'broke after a day'");
+    const taken = negative.input;
+    expect(taken.caller.id).toMatch(/^aitomic\.branch\..+\.branch-complaint\.branch-praise$/);
+    expect(taken.output).toBe("NEGATIVE");
+    expect(taken.metadata).toEqual({ branch: "then", caller: "branch-complaint" });
+    expect(taken.input.caller).toBe(sentiment);
+    expect(negative.level).toBe(3);
+
+    const positive = await coding.run("great phone");
+    expect(positive.output).toBe("praise of 'great phone'");
+    expect(positive.input.metadata).toEqual({ branch: "else", caller: "branch-praise" });
+  });
+
+  it("should pass on the output without an else caller", async () => {
+    const response = await _.branch(async (i) => i.length > 10, _.upperCase).run("short");
+    expect(response).toBeInstanceOf(Response);
+    expect(response.output).toBe("short");
+    expect(response.metadata).toEqual({ branch: "else", caller: undefined });
+  });
+
+  it("should run the caller of the selected case, or the default", async () => {
+    const coding = _.compose(
+      sentiment,
+      _.switch((label) => label, { NEGATIVE: complaint, POSITIVE: praise, default: neutral })
+    );
+    const positive = await coding.run("great phone");
+    expect(positive.output).toBe("praise of 'great phone'");
+    expect(positive.input.metadata).toEqual({ branch: "POSITIVE", caller: "branch-praise" });
+
+    const other = await coding.run("a phone");
+    expect(other.output).toBe("nothing to code (NEUTRAL)");
+    expect(other.input.metadata).toEqual({ branch: "default", selected: "NEUTRAL", caller: "branch-neutral" });
+    expect(other.input.caller.id).toMatch(
+      /^aitomic\.switch\..+\.NEGATIVE:branch-complaint\+POSITIVE:branch-praise\+default:branch-neutral$/
+    );
+  });
+
+  it("should derive distinct ids from the predicate, selector and callers, or use the id given", () => {
+    const first = _.branch((label) => label !== "POSITIVE", complaint, praise);
+    const second = _.branch((label) => label !== "NEUTRAL", complaint, praise);
+    expect(second.id).not.toBe(first.id);
+    expect(_.branch((label) => label !== "POSITIVE", complaint, praise, "branch-negative").id).toBe("branch-negative");
+
+    const cases = _.switch((label) => label, { P: praise, N: complaint });
+    const swapped = _.switch((label) => label, { P: complaint, N: praise });
+    const selected = _.switch((label) => label.toUpperCase(), { P: praise, N: complaint });
+    expect(new Set([cases.id, swapped.id, selected.id]).size).toBe(3);
+    expect(_.switch((label) => label, { P: praise }, "branch-cases").id).toBe("branch-cases");
+  });
+
+  it("should reuse the caller of the same branch or switch", () => {
+    const build = () => _.branch((label) => label === "NEGATIVE", complaint, praise);
+    expect(build()).toBe(build());
+    const cases = () => _.switch((label) => label, { NEGATIVE: complaint, default: neutral });
+    expect(cases()).toBe(cases());
+    expect(_.branch((label) => label === "NEGATIVE", complaint, praise, "branch-reused")).toBe(
+      _.branch((label) => label === "NEGATIVE", complaint, praise, "branch-reused")
+    );
+  });
+
+  it("should pass object and image inputs on to the chosen caller", async () => {
+    const server = await startStubServer((request, res) => {
+      const { messages } = request.body;
+      const content = messages.at(-1).content;
+      reply(res, { choices: [{ message: { content: `${messages[0].content}: ${typeof content === "string" ? content : content[0].type}` } }] });
+    });
+    try {
+      const rater = $("Rate the {{category}}", "branch-rater", { port: server.port });
+      const coding = _.switch((input) => input.category, { phone: rater, default: _.id });
+
+      const response = await coding.run({ input: "Great", category: "phone" });
+      expect(response.output).toBe("Rate the phone: Great");
+      expect(response.input.metadata).toEqual({ branch: "phone", caller: "branch-rater" });
+
+      const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from("pixels")]);
+      const scanned = await _.branch((input) => input.category === "phone", rater).run({ input: image(png), category: "phone" });
+      expect(scanned.output).toBe("Rate the phone: image_url");
+    } finally {
+      await server.close();
+    }
+  });
+
+  it("should fail for cases not listed without a default", async () => {
+    const strict = _.switch((label) => label, { NEGATIVE: complaint });
+    await expect(strict.run("MIXED")).rejects.toThrow("No case for 'MIXED' and no default case");
+    expect(() => _.branch("NEGATIVE", complaint)).toThrow("predicate function");
+  });
+});
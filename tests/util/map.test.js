@@ -0,0 +1,91 @@
+import { $ } from "../src/callers/index.js";
+import { _ } from "../src/util/standard-library.js";
+import { Response } from "../src/response/index.js";
+
+describe("Per-element map", () => {
+  const extract = $((i) => i.split(". ").filter((claim) => claim.length > 0), "map-extract");
+  let active = 0;
+  let peak = 0;
+  const check = $(async (claim) => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    active--;
+    return claim.includes("battery") ? "VERIFIED" : "UNVERIFIED";
+  }, "map-check");
+
+  beforeEach(() => {
+    peak = 0;
+  });
+
+  it("should run the caller on every element, keeping lineage per element", async () => {
+    const review = "The battery lasts two days. The screen is the best ever. Shipping was fast";
+    const response = await _.compose(extract, _.map(check)).run(review);
+
+    expect(response.output).toEqual(["VERIFIED", "UNVERIFIED", "UNVERIFIED"]);
+    expect(response.caller.id).toBe("aitomic.map.map-check");
+    const results = response.getParents();
+    expect(results).toHaveLength(3);
+    const list = results[0].input.input;
+    results.forEach((result, index) => {
+      expect(result.caller).toBe(check);
+      expect(result.input.output).toBe(list.output[index]);
+      expect(result.input.metadata).toEqual({ index });
+      expect(result.input.input).toBe(list);
+    });
+    expect(list.caller).toBe(extract);
+    expect(response.rootInput()).toBe(review);
+    expect(response.level).toBe(4);
+    expect(peak).toBe(3);
+  });
+
+  it("should limit the number of elements run at once", async () => {
+    const response = await _.map(check, { concurrency: 2 }).run(
+      Response.create(["battery", "screen", "speaker", "battery life", "case"], "review")
+    );
+    expect(response.output).toEqual(["VERIFIED", "UNVERIFIED", "UNVERIFIED", "VERIFIED", "UNVERIFIED"]);
+    expect(peak).toBe(2);
+  });
+
+  it("should flatten list results", async () => {
+    const words = $((claim) => claim.split(" "), "map-words");
+    const response = await _.flatMap(words).run(Response.create(["great phone", "fast"], "review"));
+    expect(response.output).toEqual(["great", "phone", "fast"]);
+    expect(response.getParents().map((r) => r.output)).toEqual([["great", "phone"], ["fast"]]);
+
+    const empty = await _.map(check, { concurrency: 1 }).run(Response.create([], "review"));
+    expect(empty.output).toEqual([]);
+    expect(empty.input.output).toEqual([]);
+  });
+
+  it("should derive distinct ids for maps of different composed callers", async () => {
+    const first = _.map(_.compose(_.lowerCase, check));
+    const second = _.map(_.compose(_.upperCase, check));
+    expect(first.id).toBe("aitomic.map.compose(aitomic.lowerCase,map-check)");
+    expect(second.id).not.toBe(first.id);
+    const response = await first.run(Response.create(["Battery lasts"], "review"));
+    expect(response.output).toEqual(["VERIFIED"]);
+  });
+
+  it("should reuse the caller mapping the same caller", async () => {
+    const first = _.map(check, { concurrency: 3 });
+    const second = _.map(check, { concurrency: 3 });
+    expect(second).toBe(first);
+    expect(_.flatMap(check, { concurrency: 3 })).not.toBe(first);
+    const response = await _.compose(extract, second).run("The battery lasts. The case is thin");
+    expect(response.output).toEqual(["VERIFIED", "UNVERIFIED"]);
+    expect(response.getParents()[1].input.caller.id).toBe("aitomic.map.map-check.3.element");
+  });
+
+  it("should run on lists given as input, passing on elements of any type", async () => {
+    const category = $((i) => i.category, "map-category");
+    const response = await _.map(category).run([{ category: "phone" }, { category: "case" }]);
+    expect(response.output).toEqual(["phone", "case"]);
+    expect(response.rootInput()).toEqual([{ category: "phone" }, { category: "case" }]);
+  });
+
+  it("should require a list as input", async () => {
+    await expect(_.map(_.upperCase).run("not a list")).rejects.toThrow("map requires a list as input");
+    expect(() => _.map(check, { concurrency: 0 })).toThrow("Concurrency must be at least 1");
+  });
+});
@@ -0,0 +1,129 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { $ } from "../src/callers/index.js";
+import { _ } from "../src/util/standard-library.js";
+import { Response } from "../src/response/index.js";
+import { writeResponses, readResponses } from "../src/util/helper.js";
+import { image } from "../src/util/image.js";
+import { startStubServer, reply } from "../fetch/stub-server.js";
+
+describe("Parallel fan-out and join", () => {
+  const trim = $((i) => i.trim(), "parallel-trim");
+  const upper = $(async (i) => i.toUpperCase(), "parallel-upper");
+  const words = $((i) => String(i.split(" ").length), "parallel-words");
+  const reversed = $((i) => i.split("").reverse().join(""), "parallel-reversed");
+  const merge = _.join((outputs) => outputs.join(" | "), "parallel-merge");
+
+  it("should run the callers on the same input and merge their outputs", async () => {
+    const fanout = _.parallel(upper, words, reversed);
+    const response = await _.compose(trim, fanout, merge).run("  great phone ");
+
+    expect(response.output).toBe("GREAT PHONE | 2 | enohp taerg");
+    const fanned = response.input;
+    expect(fanned.output).toEqual(["GREAT PHONE", "2", "enohp taerg"]);
+    expect(fanned.getParents().map((r) => r.caller.id)).toEqual(["parallel-upper", "parallel-words", "parallel-reversed"]);
+    expect(fanned.getParents().every((r) => r.input === fanned.get(2))).toBe(true);
+    expect(response.level).toBe(4);
+    expect(response.rootInput()).toBe("  great phone ");
+  });
+
+  it("should walk the DAG of responses", async () => {
+    const response = await _.compose(_.parallel(upper, _.compose(upper, reversed)), merge).run("ab");
+
+    // the branches differ in length, so a level may hold several responses
+    expect(response.get(1).caller.id).toBe("aitomic.parallel.parallel-upper+compose(parallel-upper,parallel-reversed)");
+    expect(response.get(2).map((r) => r.output)).toEqual(["AB", "BA"]);
+    expect(response.get(3)).toEqual(["ab", expect.objectContaining({ output: "AB" })]);
+    expect(response.lineage().map((r) => r.caller.id)).toEqual([
+      "parallel-merge",
+      "aitomic.parallel.parallel-upper+compose(parallel-upper,parallel-reversed)",
+      "parallel-reversed",
+      "parallel-upper",
+      "parallel-upper",
+    ]);
+    expect(response.toStringExpanded().split("\n")).toHaveLength(6);
+    expect(response.rootInput()).toBe("ab");
+  });
+
+  it("should serialize and restore the DAG, keeping shared responses shared", async () => {
+    const response = await _.compose(trim, _.parallel(words, reversed), merge).run(" a b ");
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "aitomics-parallel-"));
+    const file = path.join(dir, "responses.json");
+    try {
+      writeResponses(file, response);
+      const [parsed] = readResponses(file);
+      const [a, b] = parsed.input.getParents();
+      expect(parsed.output).toBe("2 | b a");
+      expect(a.caller).toBe(words);
+      expect(a.input).toBe(b.input);
+      expect(a.input.caller).toBe(trim);
+      expect(parsed.rootInput()).toBe(" a b ");
+      expect(Response.parse(JSON.parse(JSON.stringify(response))).level).toBe(4);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("should serialize responses shared by several paths once", async () => {
+    const list = Response.create(["a", "b", "c"], "abc", "parallel-list");
+    const response = await _.map(upper).run(list);
+    const json = JSON.parse(JSON.stringify(response));
+    expect(JSON.stringify(json).match(/"parallel-list"/g)).toHaveLength(1);
+    expect(json.input[1].input.input).toEqual({ $ref: 1 });
+    const parsed = Response.parse(json);
+    const [a, , c] = parsed.getParents();
+    expect(a.input.input).toBe(c.input.input);
+    expect(parsed.rootInput()).toBe("abc");
+
+    // nested fan-outs, where every level doubles the paths to the root
+    let diamond = Response.create("x", "root", "parallel-diamond");
+    for (let i = 0; i < 40; i++)
+      diamond = new Response("joined", merge, [new Response("l", upper, diamond), new Response("r", reversed, diamond)]);
+    const serialized = JSON.stringify(diamond);
+    expect(serialized.length).toBeLessThan(50000);
+    const restored = Response.parse(JSON.parse(serialized));
+    expect(restored.level).toBe(diamond.level);
+    expect(restored.lineage()).toHaveLength(diamond.lineage().length);
+  });
+
+  it("should derive distinct ids for fan-outs of different composed callers", () => {
+    const first = _.parallel(_.compose(trim, upper), trim);
+    const second = _.parallel(_.compose(upper, trim), trim);
+    expect(first.id).toBe("aitomic.parallel.compose(parallel-trim,parallel-upper)+parallel-trim");
+    expect(second.id).not.toBe(first.id);
+  });
+
+  it("should reuse the fan-out of the same callers", () => {
+    expect(_.parallel(upper, words)).toBe(_.parallel(upper, words));
+    expect(_.parallel(words, upper)).not.toBe(_.parallel(upper, words));
+  });
+
+  it("should pass object and image inputs on to the callers", async () => {
+    const server = await startStubServer((request, res) => {
+      const { messages } = request.body;
+      const content = messages.at(-1).content;
+      reply(res, { choices: [{ message: { content: `${messages[0].content}: ${typeof content === "string" ? content : content[0].type}` } }] });
+    });
+    try {
+      const rater = $("Rate the {{category}}", "parallel-rater", { port: server.port });
+      const tagger = $("Tag the {{category}}", "parallel-tagger", { port: server.port });
+      const fanout = _.parallel(rater, tagger);
+
+      const response = await fanout.run({ input: "Great", category: "phone" });
+      expect(response.output).toEqual(["Rate the phone: Great", "Tag the phone: Great"]);
+      expect(response.getParents().every((r) => r.input.category === "phone")).toBe(true);
+
+      const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from("pixels")]);
+      const scanned = await fanout.run({ input: image(png), category: "form" });
+      expect(scanned.output).toEqual(["Rate the form: image_url", "Tag the form: image_url"]);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it("should only join fan-outs", async () => {
+    await expect(_.compose(upper, merge).run("ab")).rejects.toThrow("Join requires the response of a fan-out");
+    expect(() => _.parallel()).toThrow("at least one caller");
+  });
+});
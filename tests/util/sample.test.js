@@ -0,0 +1,87 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { $ } from "../src/callers/index.js";
+import { _ } from "../src/util/standard-library.js";
+import { enableCache, disableCache } from "../src/util/fetch/cache.js";
+import { image } from "../src/util/image.js";
+import { startStubServer, reply } from "../fetch/stub-server.js";
+
+describe("Self-consistency sampling", () => {
+  let server;
+  let replies;
+
+  beforeAll(async () => {
+    server = await startStubServer((_req, res) =>
+      reply(res, { choices: [{ message: { content: replies.shift() } }] })
+    );
+  });
+
+  afterAll(() => server.close());
+
+  it("should output the majority answer with vote distribution and stability", async () => {
+    replies = ["POSITIVE", "NEGATIVE", "POSITIVE", "POSITIVE", "NEUTRAL"];
+    const caller = $("Rate the sentiment", "sample-rater", { port: server.port });
+    const response = await _.sample(caller, 5).run("Great product");
+
+    expect(response.output).toBe("POSITIVE");
+    expect(response.input).toBe("Great product");
+    expect(response.metadata).toEqual({
+      samples: 5,
+      votes: { POSITIVE: 3, NEGATIVE: 1, NEUTRAL: 1 },
+      stability: 0.6,
+    });
+  });
+
+  it("should bypass the cache when sampling", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "aitomics-sample-"));
+    enableCache({ dir });
+    replies = ["A", "B", "B"];
+    const caller = $("Pick", "sample-cached", { port: server.port });
+    const response = await _.sample(caller, 3).run("input");
+    disableCache();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    expect(response.output).toBe("B");
+    expect(response.metadata.stability).toBeCloseTo(2 / 3);
+  });
+
+  it("should structure the stability as an analysis output", async () => {
+    replies = ["yes", "yes"];
+    const caller = $("Answer", "sample-analysis", { port: server.port });
+    const response = await _.compose(_.sample(caller, 2), _.stability).run("input");
+
+    expect(response.output).toEqual({ output: "yes", stability: 1, votes: { yes: 2 } });
+    expect(() => _.sample(caller, 0)).toThrow("positive integer");
+  });
+
+  it("should reuse the sampling caller of the same caller and number of samples", () => {
+    const caller = $("Answer", "sample-reused", { port: server.port });
+    const sampler = _.sample(caller, 3);
+    expect(_.sample(caller, 3)).toBe(sampler);
+    expect(_.sample(caller, 4)).not.toBe(sampler);
+  });
+
+  it("should pass object and image inputs on to the sampled caller", async () => {
+    const caller = $("Rate the {{category}}", "sample-templated", { port: server.port });
+    const sampler = _.sample(caller, 3);
+    server.requests.length = 0;
+    replies = ["POSITIVE", "POSITIVE", "NEUTRAL"];
+    const response = await sampler.run({ input: "Great", category: "phone" });
+    expect(response.output).toBe("POSITIVE");
+    expect(response.input).toEqual({ input: "Great", category: "phone" });
+    expect(server.requests.map((r) => r.body.messages)).toEqual(
+      Array(3).fill([
+        { role: "system", content: "Rate the phone" },
+        { role: "user", content: "Great" },
+      ])
+    );
+
+    server.requests.length = 0;
+    replies = ["NEUTRAL", "NEUTRAL", "NEUTRAL"];
+    const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from("pixels")]);
+    const scanned = await sampler.run({ input: image(png), category: "form" });
+    expect(scanned.metadata.stability).toBe(1);
+    expect(server.requests.every((r) => r.body.messages.at(-1).content[0].type === "image_url")).toBe(true);
+  });
+});